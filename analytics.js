@@ -0,0 +1,134 @@
+// Outcome maths for practitioner analytics: affect shift, rolling averages,
+// trend slopes, the Reliable Change Index and sustained-decline detection.
+// Pure functions over per-session series — the queries live in server.js.
+
+// Spread and test-retest reliability per measure, for the Reliable Change
+// Index. Working defaults until programme norms exist; override any of them
+// with ANALYTICS_NORMS='{"volitionIndex":{"sd":12,"reliability":0.85}}'.
+// direction: 1 when a higher score is better, -1 when lower is better.
+const DEFAULT_NORMS = {
+  volitionIndex:  { sd: 15,  reliability: 0.8,  direction: 1 },
+  seen:           { sd: 18,  reliability: 0.75, direction: 1 },
+  cheered:        { sd: 18,  reliability: 0.75, direction: 1 },
+  aimed:          { sd: 18,  reliability: 0.75, direction: 1 },
+  guided:         { sd: 18,  reliability: 0.75, direction: 1 },
+  affectBefore:   { sd: 4,   reliability: 0.7,  direction: 1 },
+  affectAfter:    { sd: 4,   reliability: 0.7,  direction: 1 },
+  affectShiftPct: { sd: 20,  reliability: 0.6,  direction: 1 },
+  maskingLoad:    { sd: 15,  reliability: 0.75, direction: -1 }
+};
+
+function loadNorms() {
+  const norms = JSON.parse(JSON.stringify(DEFAULT_NORMS));
+  if (!process.env.ANALYTICS_NORMS) return norms;
+  const overrides = JSON.parse(process.env.ANALYTICS_NORMS);
+  for (const [measure, o] of Object.entries(overrides)) {
+    if (!norms[measure]) throw new Error(`ANALYTICS_NORMS: unknown measure "${measure}"`);
+    Object.assign(norms[measure], o);
+  }
+  return norms;
+}
+
+const NORMS = loadNorms();
+const RCI_THRESHOLD = 1.96; // 95% — change unlikely to be measurement noise
+
+const round = (n, dp = 2) => n === null || !Number.isFinite(n) ? null : Math.round(n * 10 ** dp) / 10 ** dp;
+
+// Volitional shift between the before and after check-ins, as a percentage of
+// the improvement that was available from where the person started.
+// q1 (heaviness) and q2 (aloneness): improvement = before - after (lower is better)
+// q3 (clarity), q4 (hope), q5 (seen): improvement = after - before (higher is better)
+function affectShiftPct(before, after) {
+  if (!before || !after) return null;
+  const itemised = [before, after].every(r => ['q1', 'q2', 'q3', 'q4', 'q5'].some(q => r[q] !== null && r[q] !== undefined));
+  if (itemised) {
+    const q1gain = Math.max(0, (before.q1 || 0) - (after.q1 || 0));
+    const q2gain = Math.max(0, (before.q2 || 0) - (after.q2 || 0));
+    const q3gain = Math.max(0, (after.q3 || 0) - (before.q3 || 0));
+    const q4gain = Math.max(0, (after.q4 || 0) - (before.q4 || 0));
+    const q5gain = Math.max(0, (after.q5 || 0) - (before.q5 || 0));
+    const totalGain = q1gain + q2gain + q3gain + q4gain + q5gain;
+    // Max possible from this starting point (not from zero — from where they were)
+    const maxFromBefore =
+      (before.q1 || 0) +    // q1: max gain = before value (reduce to 0)
+      (before.q2 || 0) +    // q2: max gain = before value
+      (5 - (before.q3 || 0)) + // q3: max gain = 5 minus before
+      (5 - (before.q4 || 0)) + // q4: max gain = 5 minus before
+      (5 - (before.q5 || 0));  // q5: max gain = 5 minus before
+    // Fall back to absolute max (25) if maxFromBefore is 0
+    const divisor = maxFromBefore > 0 ? maxFromBefore : 25;
+    return Math.round((totalGain / divisor) * 1000) / 10; // one decimal place
+  }
+  if (before.total === null || before.total === undefined || after.total === null || after.total === undefined) return null;
+  // Legacy fallback: only totals available — use simple formula
+  return Math.round(((after.total - before.total) / 25) * 100 * 10) / 10;
+}
+
+// Trailing mean over the last `window` measured points; null where there is no value yet
+function rollingMean(values, window) {
+  const out = [];
+  const seen = [];
+  for (const v of values) {
+    if (v !== null) seen.push(v);
+    const recent = seen.slice(-window);
+    out.push(v === null || !recent.length ? null : round(recent.reduce((a, b) => a + b, 0) / recent.length));
+  }
+  return out;
+}
+
+// Least-squares slope in points per session; x is the session's position, so gaps count
+function slope(values) {
+  const pts = values.map((y, x) => [x, y]).filter(([, y]) => y !== null);
+  if (pts.length < 2) return null;
+  const mx = pts.reduce((a, [x]) => a + x, 0) / pts.length;
+  const my = pts.reduce((a, [, y]) => a + y, 0) / pts.length;
+  const sxx = pts.reduce((a, [x]) => a + (x - mx) ** 2, 0);
+  const sxy = pts.reduce((a, [x, y]) => a + (x - mx) * (y - my), 0);
+  return round(sxy / sxx, 3);
+}
+
+// Jacobson & Truax RCI between two scores: |rci| > 1.96 is a reliable change
+function reliableChange(measure, from, to) {
+  const norm = NORMS[measure];
+  if (!norm || from === null || to === null) return null;
+  const sdiff = norm.sd * Math.sqrt(2 * (1 - norm.reliability));
+  const rci = (to - from) / sdiff;
+  let status = 'no_reliable_change';
+  if (Math.abs(rci) > RCI_THRESHOLD) status = Math.sign(rci) === norm.direction ? 'improved' : 'deteriorated';
+  return { from, to, change: round(to - from), rci: round(rci), status };
+}
+
+// Sustained decline: the last `run` measured changes all went the wrong way.
+// Returns the run's span, or null; measures without norms are never flagged.
+function sustainedDecline(measure, values, run) {
+  if (!NORMS[measure]) return null;
+  const direction = NORMS[measure].direction;
+  const measured = values.map((v, i) => [i, v]).filter(([, v]) => v !== null);
+  if (measured.length < run + 1) return null;
+  const tail = measured.slice(-(run + 1));
+  for (let i = 1; i < tail.length; i++) {
+    if ((tail[i][1] - tail[i - 1][1]) * direction >= 0) return null;
+  }
+  return { fromIndex: tail[0][0], toIndex: tail[tail.length - 1][0], from: tail[0][1], to: tail[tail.length - 1][1] };
+}
+
+// Everything the endpoint reports for one measure's series
+function summarise(measure, values, { window, declineRun }) {
+  const measured = values.filter(v => v !== null);
+  const first = measured.length ? measured[0] : null;
+  const latest = measured.length ? measured[measured.length - 1] : null;
+  const previous = measured.length > 1 ? measured[measured.length - 2] : null;
+  return {
+    measured: measured.length,
+    latest,
+    rollingAverage: rollingMean(values, window),
+    slope: slope(values),
+    recentSlope: slope(values.slice(-(window * 2))),
+    // Baseline to now, and the latest session-to-session step
+    reliableChange: measured.length > 1 ? reliableChange(measure, first, latest) : null,
+    lastChange: previous !== null ? reliableChange(measure, previous, latest) : null,
+    sustainedDecline: sustainedDecline(measure, values, declineRun)
+  };
+}
+
+module.exports = { NORMS, RCI_THRESHOLD, affectShiftPct, rollingMean, slope, reliableChange, sustainedDecline, summarise };
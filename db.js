@@ -0,0 +1,7 @@
+// Shared connection pool — used by the server and by the migration CLI
+const { Pool } = require('pg');
+
+module.exports = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false }
+});
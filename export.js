@@ -0,0 +1,284 @@
+// A client's complete personal record, for data-access requests.
+// collectClientRecord() gathers every table that holds their data; the record
+// is served as JSON, or rendered to Markdown / HTML for people to read.
+const pool = require('./db');
+const fieldcrypt = require('./fieldcrypt');
+
+const EXPORT_FORMAT_VERSION = 1;
+const EXPORT_FORMATS = {
+  json: { ext: 'json', type: 'application/json; charset=utf-8' },
+  md:   { ext: 'md',   type: 'text/markdown; charset=utf-8' },
+  html: { ext: 'html', type: 'text/html; charset=utf-8' }
+};
+
+// Per-client tables, oldest first. Credentials and token tables are never exported.
+const CLIENT_TABLES = [
+  ['sessions',              'SELECT * FROM sessions WHERE client_id=$1 ORDER BY started_at ASC'],
+  ['conversations',         'SELECT * FROM conversations WHERE client_id=$1 ORDER BY recorded_at ASC, id ASC'],
+  ['story_arc',             'SELECT * FROM story_arc WHERE client_id=$1 ORDER BY updated_at ASC'],
+  ['need_scores',           'SELECT * FROM need_scores WHERE client_id=$1 ORDER BY recorded_at ASC'],
+  ['affect_measurements',   'SELECT * FROM affect_measurements WHERE client_id=$1 ORDER BY recorded_at ASC'],
+  ['assignments',           'SELECT * FROM assignments WHERE client_id=$1 ORDER BY created_at ASC'],
+  ['ecosystem',             'SELECT * FROM ecosystem WHERE client_id=$1 ORDER BY id ASC'],
+  ['eco_reflections',       'SELECT * FROM eco_reflections WHERE client_id=$1 ORDER BY recorded_at ASC'],
+  ['masking_scores',        'SELECT * FROM masking_scores WHERE client_id=$1 ORDER BY recorded_at ASC'],
+  ['arc_readings',          'SELECT * FROM arc_readings WHERE client_id=$1 ORDER BY generated_at ASC'],
+  // The practitioner's analysis is about the client and holds nothing about anyone
+  // else, so the client's own copy includes it in full
+  ['sva_analysis',          'SELECT * FROM sva_analysis WHERE client_id=$1 ORDER BY created_at ASC'],
+  ['session_archives',      'SELECT * FROM session_archives WHERE client_id=$1 ORDER BY archived_at ASC'],
+  ['session_architectures', 'SELECT * FROM session_architectures WHERE client_id=$1 ORDER BY generated_at ASC'],
+  ['sovereign_moments',     'SELECT * FROM sovereign_moments WHERE client_id=$1 ORDER BY detected_at ASC'],
+  ['risk_events',           'SELECT * FROM risk_events WHERE client_id=$1 ORDER BY created_at ASC'],
+  // Group Guide drafts withheld because they overlapped this client's private record
+  ['group_privacy_interventions',
+    `SELECT i.id, i.group_id, g.name AS group_name, i.action, i.matches, i.created_at
+     FROM group_privacy_interventions i LEFT JOIN groups g ON g.id=i.group_id
+     WHERE i.client_id=$1 ORDER BY i.created_at ASC`],
+  ['group_sovereign_moments',
+    `SELECT m.id, m.group_id, g.name AS group_name, m.moment_text, m.detection_tier, m.confirmed, m.dismissed,
+       m.sovereign_moment_id, m.detected_at
+     FROM group_sovereign_moments m LEFT JOIN groups g ON g.id=m.group_id
+     WHERE m.client_id=$1 ORDER BY m.detected_at ASC`],
+  ['group_memberships',
+    `SELECT g.id AS group_id, g.name AS group_name, gm.joined_at
+     FROM group_members gm JOIN groups g ON g.id=gm.group_id
+     WHERE gm.client_id=$1 ORDER BY gm.joined_at ASC`],
+  // Only the client's own words — other members' messages are their data, not this client's
+  ['group_messages',
+    `SELECT gm.id, gm.group_id, g.name AS group_name, gm.content, gm.recorded_at
+     FROM group_messages gm LEFT JOIN groups g ON g.id=gm.group_id
+     WHERE gm.client_id=$1 AND gm.role='user' ORDER BY gm.recorded_at ASC`],
+  // Letters are keyed by the aggregator's session id, crossing_<session id>
+  ['witness_letters',
+    `SELECT w.* FROM witness_letters w
+     JOIN sessions s ON w.session_id = 'crossing_' || s.id
+     WHERE s.client_id=$1 ORDER BY w.generated_at ASC`]
+];
+
+// What the client's own download gets instead of the full row, for tables that
+// carry practitioner-only columns (notes, model review, who acknowledged what).
+// The practitioner export keeps CLIENT_TABLES as they are.
+const CLIENT_SAFE_TABLES = {
+  // Plans as the Guide was given them: reviewed only, without the Guide's
+  // override instructions or who reviewed them
+  session_architectures:
+    `SELECT id, session_id, movement_priorities, risk_flags, opening_question, hypothesis_label, status, generated_at, reviewed_at
+     FROM session_architectures WHERE client_id=$1 AND status='reviewed' ORDER BY generated_at ASC`,
+  sovereign_moments:
+    `SELECT id, session_id, group_id, moment_text, detection_tier, confirmed, dismissed, detected_at
+     FROM sovereign_moments WHERE client_id=$1 ORDER BY detected_at ASC`,
+  risk_events:
+    `SELECT id, session_id, group_id, source, category, severity, excerpt, status, created_at, resolved_at
+     FROM risk_events WHERE client_id=$1 ORDER BY created_at ASC`,
+  witness_letters:
+    `SELECT w.id, w.session_id, w.letter_text, w.generated_at FROM witness_letters w
+     JOIN sessions s ON w.session_id = 'crossing_' || s.id
+     WHERE s.client_id=$1 ORDER BY w.generated_at ASC`
+};
+
+// Decrypted, without the encryption bookkeeping column
+const readable = (table, rows) => fieldcrypt.openRows(table, rows).map(({ enc_key_id, ...row }) => row);
+
+// Resolves to null if the client does not exist. forPractitioner includes the
+// practitioner-only columns left out of the client's own copy.
+async function collectClientRecord(clientId, { forPractitioner = false } = {}) {
+  const client = await pool.query(
+    'SELECT id, name, email, created_at, last_seen FROM clients WHERE id=$1', [clientId]
+  );
+  if (!client.rows.length) return null;
+  const [profile, ...tables] = await Promise.all([
+    pool.query('SELECT * FROM persistent_profiles WHERE client_id=$1', [clientId]),
+    ...CLIENT_TABLES.map(([name, sql]) =>
+      pool.query((!forPractitioner && CLIENT_SAFE_TABLES[name]) || sql, [clientId]))
+  ]);
+  const record = {
+    format_version: EXPORT_FORMAT_VERSION,
+    exported_at: new Date().toISOString(),
+    client: client.rows[0],
+    profile: readable('persistent_profiles', profile.rows)[0] || null
+  };
+  CLIENT_TABLES.forEach(([name], i) => { record[name] = readable(name, tables[i].rows); });
+  return record;
+}
+
+// ─────────────────────────────────────────────
+// READABLE RENDERING
+// The record becomes a list of sections made of blocks; the Markdown and HTML
+// renderers each know how to draw the four block types.
+//   { type: 'text', text }  { type: 'fields', fields: [[label, value]] }
+//   { type: 'transcript', lines: [{ speaker, text }] }  { type: 'table', columns, rows }
+// ─────────────────────────────────────────────
+
+const fmtDate = d => d ? new Date(d).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '';
+const fmtValue = v => {
+  if (v === null || v === undefined || v === '') return '';
+  if (v instanceof Date) return fmtDate(v);
+  if (Array.isArray(v)) return v.map(fmtValue).join(', ');
+  if (typeof v === 'object') return JSON.stringify(v);
+  return String(v);
+};
+const bySession = (rows, sessionId) => rows.filter(r => r.session_id === sessionId);
+
+function sessionSection(record, s) {
+  const blocks = [];
+  const fields = [
+    ['Started', fmtDate(s.started_at)],
+    ['Ended', fmtDate(s.ended_at)],
+    ['Duration', s.duration_seconds ? Math.round(s.duration_seconds / 60) + ' min' : '']
+  ];
+  for (const a of bySession(record.affect_measurements, s.id)) fields.push([`Check-in (${a.phase})`, a.total]);
+  for (const n of bySession(record.need_scores, s.id)) {
+    fields.push(['Seen / Cheered / Aimed / Guided', [n.seen, n.cheered, n.aimed, n.guided].join(' / ')]);
+    fields.push(['Volition index', n.volition_index]);
+  }
+  for (const m of bySession(record.masking_scores, s.id)) fields.push(['Masking load', m.masking_load]);
+  blocks.push({ type: 'fields', fields: fields.filter(([, v]) => fmtValue(v)) });
+
+  const lines = bySession(record.conversations, s.id)
+    .map(c => ({ speaker: c.role === 'user' ? 'You' : 'Guide', text: c.content }));
+  if (lines.length) blocks.push({ type: 'transcript', lines });
+
+  for (const arc of bySession(record.story_arc, s.id)) {
+    blocks.push({ type: 'fields', fields: [
+      ['Where you are', arc.point_a], ['Where you want to be', arc.point_b], ['What is in the way', arc.obstacle],
+      ['What you have tried', arc.attempts], ['Resources', arc.resources], ['Meaning made', arc.meaning_made]
+    ].filter(([, v]) => v) });
+  }
+  for (const a of bySession(record.assignments, s.id)) {
+    blocks.push({ type: 'fields', fields: [
+      ['Assignment', a.assignment_text], ['With', a.commitment_person], ['When', a.commitment_when]
+    ].filter(([, v]) => v) });
+  }
+  const reflections = bySession(record.eco_reflections, s.id);
+  if (reflections.length) {
+    blocks.push({ type: 'table', columns: ['Person', 'Response'],
+      rows: reflections.map(r => [r.person_name, [r.emoji_response, r.emoji_label].filter(Boolean).join(' ')]) });
+  }
+  return { title: `Session ${s.session_number || s.id} — ${fmtDate(s.started_at)}`, level: 3, blocks };
+}
+
+// Any table not given its own layout is shown as rows of its columns
+function genericTable(rows, skip = ['client_id']) {
+  const columns = Object.keys(rows[0]).filter(c => !skip.includes(c));
+  return { type: 'table', columns, rows: rows.map(r => columns.map(c => r[c])) };
+}
+
+function buildSections(record) {
+  const c = record.client;
+  const sections = [{
+    title: 'About this export', level: 2,
+    blocks: [
+      { type: 'text', text: 'This is everything Crossing holds about you. A machine-readable copy of the same data is available in JSON format.' },
+      { type: 'fields', fields: [['Name', c.name], ['Email', c.email], ['Account created', fmtDate(c.created_at)],
+        ['Last seen', fmtDate(c.last_seen)], ['Exported', fmtDate(record.exported_at)]].filter(([, v]) => v) }
+    ]
+  }];
+
+  sections.push({ title: 'Sessions', level: 2, blocks: record.sessions.length ? [] : [{ type: 'text', text: 'No sessions yet.' }] });
+  for (const s of record.sessions) sections.push(sessionSection(record, s));
+
+  const listed = [
+    ['People in your ecosystem', record.ecosystem.map(e => [e.person_name, e.person_type, e.needs_provided]), ['Person', 'Relationship', 'Needs they meet']],
+    ['Group conversations', record.group_messages.map(m => [fmtDate(m.recorded_at), m.group_name, m.content]), ['When', 'Group', 'What you said']],
+    ['Witness letters', record.witness_letters.map(w => [fmtDate(w.generated_at), w.letter_text]), ['Written', 'Letter']],
+    ['Sovereign moments', record.sovereign_moments.filter(m => !m.dismissed).map(m => [fmtDate(m.detected_at), m.moment_text]), ['When', 'Moment']],
+    // Moments copied to the client's own record are already listed above
+    ['Sovereign moments in groups', record.group_sovereign_moments.filter(m => !m.dismissed && !m.sovereign_moment_id)
+      .map(m => [fmtDate(m.detected_at), m.group_name, m.moment_text]), ['When', 'Group', 'Moment']],
+    ['Session summaries', record.session_archives.map(a => [a.session_number, fmtDate(a.archived_at), a.compressed_summary]), ['Session', 'Written', 'Summary']]
+  ];
+  for (const [title, rows, columns] of listed) {
+    if (rows.length) sections.push({ title, level: 2, blocks: [{ type: 'table', columns, rows }] });
+  }
+
+  const other = [
+    ['Life Arc readings', record.arc_readings],
+    ['Practitioner analyses', record.sva_analysis],
+    ['Session plans', record.session_architectures],
+    ['Safety checks', record.risk_events],
+    ['Group privacy checks', record.group_privacy_interventions],
+    ['Group memberships', record.group_memberships]
+  ];
+  for (const [title, rows] of other) {
+    if (rows.length) sections.push({ title, level: 2, blocks: [genericTable(rows)] });
+  }
+  if (record.profile) {
+    const fields = Object.entries(record.profile).filter(([k]) => !['id', 'client_id'].includes(k));
+    sections.push({ title: 'Profile', level: 2, blocks: [{ type: 'fields', fields }] });
+  }
+  return sections;
+}
+
+const mdCell = v => fmtValue(v).replace(/\|/g, '\\|').replace(/\n+/g, ' ');
+
+function renderMarkdown(record) {
+  const out = [`# Crossing record — ${record.client.name}`, ''];
+  for (const section of buildSections(record)) {
+    out.push('#'.repeat(section.level) + ' ' + section.title, '');
+    for (const b of section.blocks) {
+      if (b.type === 'text') out.push(b.text, '');
+      if (b.type === 'fields' && b.fields.length) out.push(...b.fields.map(([k, v]) => `- **${k}:** ${mdCell(v)}`), '');
+      if (b.type === 'transcript') {
+        for (const l of b.lines) out.push(`**${l.speaker}:** ${String(l.text).replace(/\n/g, '  \n')}`, '');
+      }
+      if (b.type === 'table') {
+        out.push('| ' + b.columns.join(' | ') + ' |', '|' + b.columns.map(() => ' --- |').join(''));
+        for (const row of b.rows) out.push('| ' + row.map(mdCell).join(' | ') + ' |');
+        out.push('');
+      }
+    }
+  }
+  return out.join('\n');
+}
+
+const esc = v => fmtValue(v).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+
+function renderHtml(record) {
+  const body = [];
+  for (const section of buildSections(record)) {
+    body.push(`<h${section.level}>${esc(section.title)}</h${section.level}>`);
+    for (const b of section.blocks) {
+      if (b.type === 'text') body.push(`<p>${esc(b.text)}</p>`);
+      if (b.type === 'fields' && b.fields.length)
+        body.push('<dl>' + b.fields.map(([k, v]) => `<dt>${esc(k)}</dt><dd>${esc(v)}</dd>`).join('') + '</dl>');
+      if (b.type === 'transcript')
+        body.push(b.lines.map(l => `<p class="${l.speaker === 'You' ? 'you' : 'guide'}"><b>${esc(l.speaker)}:</b> ${esc(l.text)}</p>`).join('\n'));
+      if (b.type === 'table') {
+        body.push('<table><tr>' + b.columns.map(c => `<th>${esc(c)}</th>`).join('') + '</tr>' +
+          b.rows.map(r => '<tr>' + r.map(v => `<td>${esc(v)}</td>`).join('') + '</tr>').join('') + '</table>');
+      }
+    }
+  }
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8">
+<title>Crossing record — ${esc(record.client.name)}</title>
+<style>
+  body { font-family: Georgia, serif; max-width: 760px; margin: 40px auto; padding: 0 20px; color: #222; line-height: 1.6; }
+  h1, h2, h3 { font-family: system-ui, sans-serif; } h2 { border-bottom: 1px solid #ddd; margin-top: 2.5em; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; } dt { font-weight: bold; } dd { margin: 0; }
+  p.you, p.guide { white-space: pre-wrap; } p.guide { color: #3b5b6b; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.9em; } th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; }
+</style></head>
+<body>
+<h1>Crossing record — ${esc(record.client.name)}</h1>
+${body.join('\n')}
+</body></html>`;
+}
+
+// Sends the record as a download in the requested format (json | md | html)
+function sendExport(res, record, format = 'json') {
+  const f = EXPORT_FORMATS[format];
+  const slug = String(record.client.name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'client';
+  const filename = `crossing-record-${slug}-${record.exported_at.slice(0, 10)}.${f.ext}`;
+  res.set({
+    'Content-Type': f.type,
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store'
+  });
+  if (format === 'md') return res.send(renderMarkdown(record));
+  if (format === 'html') return res.send(renderHtml(record));
+  res.send(JSON.stringify(record, null, 2));
+}
+
+module.exports = { EXPORT_FORMATS, collectClientRecord, renderMarkdown, renderHtml, sendExport };
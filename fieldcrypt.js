@@ -0,0 +1,140 @@
+// Field-level envelope encryption for therapeutic content at rest.
+// Each value gets its own data key (AES-256-GCM); the data key is wrapped with
+// a master key from FIELD_ENCRYPTION_KEYS or FIELD_ENCRYPTION_KEY_FILE. Sealed
+// values carry the master key id, so keys can rotate: new writes use the
+// current key, old rows stay readable, and reencrypt.js moves them over.
+//
+//   FIELD_ENCRYPTION_KEYS="2026-01:<base64 32 bytes>,2025-06:<base64 32 bytes>"  (first is current)
+//   FIELD_ENCRYPTION_KEY_FILE=/secrets/field-keys.json  { "current": "2026-01", "keys": { "2026-01": "<base64>" } }
+//   FIELD_ENCRYPTION_KEY_ID=2026-01  (optional — pick the current key explicitly)
+//
+// With no key configured values are written as plaintext, and plaintext rows
+// are always read back as-is, so encryption can be switched on for a live database.
+const fs = require('fs');
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+const KEY_ID_PATTERN = /^[\w.-]+$/;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const DEK_BYTES = 32;
+
+// Sensitive columns per table. json columns are JSONB and hold the sealed
+// value as a JSON string. Every table listed has an enc_key_id column.
+const ENCRYPTED_COLUMNS = {
+  conversations:       { text: ['content'] },
+  group_messages:      { text: ['content'] },
+  sva_analysis:        { text: ['bio', 'psycho', 'social', 'behav', 'narr', 'eco', 'phenom', 'epist', 'hist', 'synthesis'] },
+  session_archives:    { text: ['compressed_summary', 'assignment_given'] },
+  session_architectures: { text: ['opening_question', 'hypothesis_label', 'override_conditions'], json: ['risk_flags'] },
+  sovereign_moments:   { text: ['moment_text'] },
+  group_archives:      { text: ['compressed_summary'], json: ['themes', 'echoes'] },
+  group_sovereign_moments: { text: ['moment_text'] },
+  group_profiles:      { json: ['recurring_themes', 'norms', 'unresolved_threads', 'member_intentions'] },
+  witness_letters:     { text: ['letter_text', 'practitioner_note'] },
+  persistent_profiles: { text: ['last_assignment', 'last_session_summary'], json: ['active_patterns', 'risk_flags', 'next_priorities'] },
+  risk_events:         { text: ['excerpt', 'model_rationale'] },
+  group_privacy_interventions: { text: ['draft_text'], json: ['matches'] }
+};
+
+function loadKeys() {
+  const keys = new Map();
+  let current = null;
+  const add = (id, b64) => {
+    if (!KEY_ID_PATTERN.test(id)) throw new Error(`Field encryption key id "${id}" may only contain letters, digits, _ . -`);
+    const key = Buffer.from(String(b64).trim(), 'base64');
+    if (key.length !== 32) throw new Error(`Field encryption key "${id}" must be 32 bytes (base64-encoded)`);
+    keys.set(id, key);
+  };
+  if (process.env.FIELD_ENCRYPTION_KEY_FILE) {
+    const file = JSON.parse(fs.readFileSync(process.env.FIELD_ENCRYPTION_KEY_FILE, 'utf8'));
+    for (const [id, b64] of Object.entries(file.keys || {})) add(id, b64);
+    current = file.current || Object.keys(file.keys || {})[0] || null;
+  }
+  if (process.env.FIELD_ENCRYPTION_KEYS) {
+    const entries = process.env.FIELD_ENCRYPTION_KEYS.split(',').map(e => e.trim()).filter(Boolean);
+    for (const entry of entries) {
+      const i = entry.indexOf(':');
+      if (i < 1) throw new Error('FIELD_ENCRYPTION_KEYS entries must look like <key id>:<base64 key>');
+      add(entry.slice(0, i), entry.slice(i + 1));
+    }
+    current = current || entries[0].slice(0, entries[0].indexOf(':'));
+  }
+  current = process.env.FIELD_ENCRYPTION_KEY_ID || current;
+  if (current && !keys.has(current)) throw new Error(`Current field encryption key "${current}" is not configured`);
+  return { keys, current };
+}
+
+const { keys, current } = loadKeys();
+
+function gcm(mode, key, iv, input, tag) {
+  if (mode === 'encrypt') {
+    const c = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const out = Buffer.concat([c.update(input), c.final()]);
+    return { out, tag: c.getAuthTag() };
+  }
+  const d = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  d.setAuthTag(tag);
+  return Buffer.concat([d.update(input), d.final()]);
+}
+
+const isSealed = v => typeof v === 'string' && v.startsWith(PREFIX);
+
+// Current key id, or null when encryption is off — stored as enc_key_id on each row
+function keyId() { return current; }
+
+// string → sealed string. null/undefined pass through; so does everything when no key is configured.
+function seal(value) {
+  if (value === null || value === undefined || !current) return value ?? null;
+  const dek = crypto.randomBytes(DEK_BYTES);
+  const wrapIv = crypto.randomBytes(IV_BYTES);
+  const wrapped = gcm('encrypt', keys.get(current), wrapIv, dek);
+  const iv = crypto.randomBytes(IV_BYTES);
+  const body = gcm('encrypt', dek, iv, Buffer.from(String(value), 'utf8'));
+  const blob = Buffer.concat([wrapIv, wrapped.tag, wrapped.out, iv, body.tag, body.out]);
+  return `${PREFIX}${current}:${blob.toString('base64')}`;
+}
+
+// Sealed string → plaintext. Anything not sealed is returned unchanged.
+function open(value) {
+  if (!isSealed(value)) return value;
+  const rest = value.slice(PREFIX.length);
+  const sep = rest.indexOf(':');
+  const id = rest.slice(0, sep);
+  const key = keys.get(id);
+  if (!key) throw new Error(`Field encryption key "${id}" is not configured — cannot decrypt`);
+  const blob = Buffer.from(rest.slice(sep + 1), 'base64');
+  let at = 0;
+  const take = n => blob.subarray(at, (at += n));
+  const wrapIv = take(IV_BYTES), wrapTag = take(TAG_BYTES), wrappedDek = take(DEK_BYTES);
+  const iv = take(IV_BYTES), tag = take(TAG_BYTES), ciphertext = blob.subarray(at);
+  const dek = gcm('decrypt', key, wrapIv, wrappedDek, wrapTag);
+  return gcm('decrypt', dek, iv, ciphertext, tag).toString('utf8');
+}
+
+// JSON value → text for a JSONB parameter: the sealed JSON as a JSON string, or the plain JSON
+function sealJSON(value) {
+  const json = JSON.stringify(value ?? null);
+  return current ? JSON.stringify(seal(json)) : json;
+}
+
+// JSONB value as pg returns it → the original value
+function openJSON(value) {
+  return isSealed(value) ? JSON.parse(open(value)) : value;
+}
+
+// Decrypts a row's sensitive columns in place; columns not selected are skipped
+function openRow(table, row) {
+  const cols = ENCRYPTED_COLUMNS[table];
+  if (!row || !cols) return row;
+  for (const c of cols.text || []) if (c in row) row[c] = open(row[c]);
+  for (const c of cols.json || []) if (c in row) row[c] = openJSON(row[c]);
+  return row;
+}
+
+function openRows(table, rows) {
+  for (const row of rows) openRow(table, row);
+  return rows;
+}
+
+module.exports = { PREFIX, ENCRYPTED_COLUMNS, isSealed, keyId, seal, open, sealJSON, openJSON, openRow, openRows };
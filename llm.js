@@ -0,0 +1,372 @@
+// Single client for every model call the server makes: model choice per task,
+// timeouts, retries on 429/529, usage capture and response parsing.
+// LLM_PROVIDER=stub swaps in scripted local responses so the post-session
+// pipeline and group Guide run without network access.
+const fs = require('fs');
+
+const ANTHROPIC_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
+const PROVIDER = (process.env.LLM_PROVIDER || 'anthropic').toLowerCase();
+const TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS) || 60000;
+const STREAM_TIMEOUT_MS = parseInt(process.env.LLM_STREAM_TIMEOUT_MS) || 120000;
+const MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES) || 3;
+const RETRY_BASE_MS = 1000;
+const RETRYABLE_STATUS = [429, 529];
+
+// Model and token budget per task. Override a model with LLM_MODEL_<TASK>,
+// e.g. LLM_MODEL_GROUP_GUIDE=claude-sonnet-4-6
+const TASKS = {
+  group_guide:          { model: 'claude-opus-4-5',   maxTokens: 400 },
+  session_archive:      { model: 'claude-sonnet-4-6', maxTokens: 250 },
+  profile_update:       { model: 'claude-sonnet-4-6', maxTokens: 600 },
+  sovereign_moments:    { model: 'claude-sonnet-4-6', maxTokens: 1000 },
+  session_architecture: { model: 'claude-sonnet-4-6', maxTokens: 700 },
+  group_archive:        { model: 'claude-sonnet-4-6', maxTokens: 800 },
+  group_moments:        { model: 'claude-sonnet-4-6', maxTokens: 1000 },
+  group_profile:        { model: 'claude-sonnet-4-6', maxTokens: 700 },
+  risk_screen:          { model: 'claude-haiku-4-5',  maxTokens: 200 },
+  proxy:                { model: null,                maxTokens: null } // client-chosen
+};
+
+function modelFor(task) {
+  const override = process.env['LLM_MODEL_' + task.toUpperCase()];
+  return override || TASKS[task]?.model || TASKS.session_archive.model;
+}
+
+// ─────────────────────────────────────────────
+// PROVIDERS
+// A provider takes an Anthropic Messages request body. send() resolves to
+// { status, data } where data is the Messages API response (or error) JSON.
+// stream() resolves to { status, chunks } — an async iterable of raw SSE
+// bytes — or to { status, data } when the request was rejected. An optional
+// signal cancels the stream (e.g. when the app disconnects).
+// ─────────────────────────────────────────────
+
+// The request timeout, joined with the caller's signal when there is one
+function requestSignal(timeoutMs, signal) {
+  const timeout = AbortSignal.timeout(timeoutMs);
+  if (!signal) return timeout;
+  const controller = new AbortController();
+  for (const s of [timeout, signal]) {
+    if (s.aborted) controller.abort(s.reason);
+    else s.addEventListener('abort', () => controller.abort(s.reason), { once: true });
+  }
+  return controller.signal;
+}
+
+const anthropicProvider = {
+  name: 'anthropic',
+  configured: () => !!ANTHROPIC_API_KEY,
+  async send(body, { timeoutMs }) {
+    const res = await fetch(ANTHROPIC_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': ANTHROPIC_API_KEY,
+        'anthropic-version': ANTHROPIC_VERSION
+      },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    const data = await res.json().catch(() => ({ error: { message: `Non-JSON response (${res.status})` } }));
+    return { status: res.status, data, retryAfter: parseFloat(res.headers.get('retry-after')) || null };
+  },
+  async stream(body, { timeoutMs, signal }) {
+    const res = await fetch(ANTHROPIC_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': ANTHROPIC_API_KEY,
+        'anthropic-version': ANTHROPIC_VERSION
+      },
+      body: JSON.stringify({ ...body, stream: true }),
+      signal: requestSignal(timeoutMs, signal)
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({ error: { message: `Non-JSON response (${res.status})` } }));
+      return { status: res.status, data, retryAfter: parseFloat(res.headers.get('retry-after')) || null };
+    }
+    return { status: res.status, chunks: res.body };
+  }
+};
+
+// Deterministic responses in the formats each task's parser expects
+const STUB_DEFAULTS = {
+  group_guide: 'I am here with all of you. What is alive in the group right now?',
+  session_archive: [
+    'THEME: Learning to name what has been carried alone.',
+    'MOVEMENT: Moderate — the person described their situation in their own words.',
+    'ASSIGNMENT: No assignment was given this session.',
+    'FLAGS: none',
+    'PATTERNS: none'
+  ].join('\n'),
+  profile_update: JSON.stringify({
+    active_patterns: ['Describes experience precisely when given space'],
+    risk_flags: [],
+    next_priorities: ['Revisit the open assignment', 'Map one more support relationship'],
+    hypothesis_label: 'learning to exist without apology'
+  }),
+  sovereign_moments: JSON.stringify({ tier1: [], tier2: [] }),
+  session_architecture: JSON.stringify({
+    movement_priorities: ['Revisit the open assignment', 'Explore the support network'],
+    opening_question: 'What has stayed with you since we last spoke?',
+    hypothesis_label: 'learning to exist without apology',
+    risk_flags: [],
+    override_conditions: 'Set the plan aside if the person arrives in crisis or asks to talk about something else.'
+  }),
+  group_archive: JSON.stringify({
+    summary: 'THEME: Members compared how they hold back in company.\nMOVEMENT: Moderate — several members spoke for themselves rather than about others.',
+    themes: [{ theme: 'Holding back in company', members: [] }],
+    echoes: []
+  }),
+  group_moments: JSON.stringify({ tier1: [], tier2: [] }),
+  group_profile: JSON.stringify({
+    recurring_themes: ['Holding back in company'],
+    norms: ['Members speak for themselves, not for each other'],
+    unresolved_threads: [],
+    member_intentions: []
+  }),
+  risk_screen: JSON.stringify({
+    classification: 'INTERNAL_STATE',
+    risk: true,
+    rationale: 'The person describes their own state.'
+  }),
+  proxy: 'I am here. Take your time.'
+};
+
+// LLM_STUB_SCRIPT may point at a JSON file of { task: "text" | ["text", ...] }.
+// Arrays are consumed in order and the last entry repeats.
+function loadStubScript() {
+  const file = process.env.LLM_STUB_SCRIPT;
+  if (!file) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    console.error('[llm] could not read LLM_STUB_SCRIPT:', err.message);
+    return {};
+  }
+}
+
+const stubScript = loadStubScript();
+const stubCursor = {};
+
+function nextStubText(task) {
+  const scripted = stubScript[task];
+  if (Array.isArray(scripted) && scripted.length) {
+    const i = Math.min(stubCursor[task] || 0, scripted.length - 1);
+    stubCursor[task] = i + 1;
+    return scripted[i];
+  }
+  if (typeof scripted === 'string') return scripted;
+  return STUB_DEFAULTS[task] || 'OK';
+}
+
+const estimateTokens = text => Math.max(1, Math.ceil(String(text || '').length / 4));
+
+function stubMessage(body, task) {
+  const text = nextStubText(task);
+  const prompt = JSON.stringify(body.system || '') + JSON.stringify(body.messages || []);
+  return {
+    id: 'msg_stub_' + Date.now().toString(36),
+    type: 'message',
+    role: 'assistant',
+    model: body.model,
+    content: [{ type: 'text', text }],
+    stop_reason: 'end_turn',
+    usage: { input_tokens: estimateTokens(prompt), output_tokens: estimateTokens(text) }
+  };
+}
+
+// Replays a stub message as the Messages API event sequence, one word per delta
+async function* stubEvents(message) {
+  const sse = (event, data) => `event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`;
+  const { content, usage, ...rest } = message;
+  yield sse('message_start', { message: { ...rest, content: [], stop_reason: null, usage: { input_tokens: usage.input_tokens, output_tokens: 0 } } });
+  yield sse('content_block_start', { index: 0, content_block: { type: 'text', text: '' } });
+  for (const word of content[0].text.split(/(?<= )/)) {
+    yield sse('content_block_delta', { index: 0, delta: { type: 'text_delta', text: word } });
+  }
+  yield sse('content_block_stop', { index: 0 });
+  yield sse('message_delta', { delta: { stop_reason: 'end_turn', stop_sequence: null }, usage: { output_tokens: usage.output_tokens } });
+  yield sse('message_stop', {});
+}
+
+const stubProvider = {
+  name: 'stub',
+  configured: () => true,
+  async send(body, { task }) {
+    return { status: 200, data: stubMessage(body, task) };
+  },
+  async stream(body, { task }) {
+    return { status: 200, chunks: stubEvents(stubMessage(body, task)) };
+  }
+};
+
+const PROVIDERS = { anthropic: anthropicProvider, stub: stubProvider };
+const provider = PROVIDERS[PROVIDER] || anthropicProvider;
+if (!PROVIDERS[PROVIDER]) console.warn('[llm] unknown LLM_PROVIDER', PROVIDER, '— using anthropic');
+
+// ─────────────────────────────────────────────
+// CALLS
+// ─────────────────────────────────────────────
+
+const usageListeners = [];
+
+// fn({ task, model, inputTokens, outputTokens, latencyMs, status, meta }) — called once per call
+function onUsage(fn) { usageListeners.push(fn); }
+
+function emitUsage(record) {
+  for (const fn of usageListeners) {
+    try { fn(record); } catch (err) { console.error('[llm] usage listener failed:', err.message); }
+  }
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// Sends with retries on 429/529 and network errors. Resolves to { status, data }
+// for any HTTP response, including API errors; rejects only if no response arrived.
+async function send(task, body, meta) {
+  const started = Date.now();
+  let result;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      result = await provider.send(body, { task, timeoutMs: TIMEOUT_MS });
+    } catch (err) {
+      const timedOut = err.name === 'TimeoutError';
+      if (timedOut || attempt >= MAX_RETRIES) {
+        emitUsage({ task, model: body.model, inputTokens: 0, outputTokens: 0, latencyMs: Date.now() - started, status: 0, meta });
+        throw new Error(timedOut ? `AI timeout after ${TIMEOUT_MS}ms` : 'AI request failed: ' + err.message);
+      }
+      await sleep(RETRY_BASE_MS * 2 ** attempt);
+      continue;
+    }
+    if (!RETRYABLE_STATUS.includes(result.status) || attempt >= MAX_RETRIES) break;
+    const waitMs = result.retryAfter ? result.retryAfter * 1000 : RETRY_BASE_MS * 2 ** attempt;
+    console.warn('[llm]', task, 'got', result.status, '— retrying in', waitMs + 'ms');
+    await sleep(waitMs);
+  }
+  const usage = result.data?.usage || {};
+  emitUsage({
+    task,
+    model: result.data?.model || body.model,
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    latencyMs: Date.now() - started,
+    status: result.status,
+    meta
+  });
+  return result;
+}
+
+function textOf(data) {
+  return (data?.content || []).filter(b => b.type === 'text').map(b => b.text).join('');
+}
+
+// Runs a task and returns { text, model, usage, stopReason }. Throws on API errors.
+async function complete(task, { system, messages, maxTokens, meta = {} }) {
+  const body = {
+    model: modelFor(task),
+    max_tokens: maxTokens || TASKS[task]?.maxTokens || 1000,
+    messages
+  };
+  if (system) body.system = system;
+  const { status, data } = await send(task, body, meta);
+  if (data?.error || status >= 400) {
+    const err = new Error('AI error: ' + (data?.error?.message || 'status ' + status));
+    err.status = status;
+    throw err;
+  }
+  return {
+    text: textOf(data),
+    model: data.model || body.model,
+    usage: { inputTokens: data.usage?.input_tokens || 0, outputTokens: data.usage?.output_tokens || 0 },
+    stopReason: data.stop_reason || null
+  };
+}
+
+// Pass-through for /api/messages: the caller has already shaped the body.
+// Resolves to { status, data } exactly as the provider returned it.
+async function forward(body, { meta = {} } = {}) {
+  return send('proxy', body, meta);
+}
+
+// Streaming pass-through for /api/messages. Raw SSE chunks go to onChunk as they
+// arrive; usage is read from the message_start / message_delta events on the way.
+// Resolves to { status } once the stream ends, or { status, data } if the request
+// was rejected before streaming began (nothing is passed to onChunk in that case).
+// Aborting the signal cancels the upstream request; usage so far is still recorded.
+async function forwardStream(body, { meta = {}, onChunk, signal }) {
+  const task = 'proxy';
+  const started = Date.now();
+  let result;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      result = await provider.stream(body, { task, timeoutMs: STREAM_TIMEOUT_MS, signal });
+    } catch (err) {
+      if (err.name === 'TimeoutError' || signal?.aborted || attempt >= MAX_RETRIES) {
+        emitUsage({ task, model: body.model, inputTokens: 0, outputTokens: 0, latencyMs: Date.now() - started, status: 0, meta });
+        throw new Error('AI request failed: ' + err.message);
+      }
+      await sleep(RETRY_BASE_MS * 2 ** attempt);
+      continue;
+    }
+    if (!RETRYABLE_STATUS.includes(result.status) || signal?.aborted || attempt >= MAX_RETRIES) break;
+    await sleep(result.retryAfter ? result.retryAfter * 1000 : RETRY_BASE_MS * 2 ** attempt);
+  }
+  if (!result.chunks) {
+    emitUsage({ task, model: body.model, inputTokens: 0, outputTokens: 0, latencyMs: Date.now() - started, status: result.status, meta });
+    return { status: result.status, data: result.data };
+  }
+
+  const usage = { model: body.model, inputTokens: 0, outputTokens: 0 };
+  const decoder = new TextDecoder();
+  let buffered = '';
+  try {
+    for await (const chunk of result.chunks) {
+      if (signal?.aborted) break;
+      onChunk(chunk);
+      buffered += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+      const events = buffered.split('\n\n');
+      buffered = events.pop();
+      for (const evt of events) readStreamUsage(evt, usage);
+    }
+  } finally {
+    emitUsage({ task, model: usage.model, inputTokens: usage.inputTokens, outputTokens: usage.outputTokens,
+      latencyMs: Date.now() - started, status: result.status, meta });
+  }
+  return { status: result.status };
+}
+
+function readStreamUsage(evt, usage) {
+  const line = evt.split('\n').find(l => l.startsWith('data:'));
+  if (!line) return;
+  try {
+    const data = JSON.parse(line.slice(5));
+    if (data.type === 'message_start') {
+      usage.model = data.message?.model || usage.model;
+      usage.inputTokens = data.message?.usage?.input_tokens || 0;
+    } else if (data.type === 'message_delta') {
+      usage.outputTokens = data.usage?.output_tokens || usage.outputTokens;
+    }
+  } catch (e) { /* partial or non-JSON event — ignore */ }
+}
+
+// Models wrap JSON in ```json fences often enough that every parser needs this
+function parseJSON(text) {
+  return JSON.parse(String(text || '{}').replace(/```json|```/g, '').trim());
+}
+
+function isConfigured() { return provider.configured(); }
+
+module.exports = {
+  TASKS,
+  modelFor,
+  complete,
+  forward,
+  forwardStream,
+  parseJSON,
+  onUsage,
+  isConfigured,
+  providerName: provider.name
+};
@@ -0,0 +1,143 @@
+// Versioned schema migrations. Files in migrations/ are named NNN_description.sql
+// and run in order, each in its own transaction, recorded in schema_migrations.
+// An advisory lock keeps two instances starting together from racing.
+//
+//   node migrate.js          apply pending migrations
+//   node migrate.js status   list applied and pending migrations
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d{3,})_([\w-]+)\.sql$/;
+const MIGRATION_LOCK_ID = 4207311; // any constant shared by every instance
+
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => {
+      const m = file.match(MIGRATION_FILE);
+      if (!m) return null;
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      return {
+        version: parseInt(m[1], 10),
+        name: m[2],
+        file,
+        sql,
+        checksum: crypto.createHash('sha256').update(sql).digest('hex')
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version)
+      throw new Error(`Two migrations share version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+}
+
+async function appliedMigrations(client) {
+  const r = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(r.rows.map(row => [row.version, row]));
+}
+
+// Applies every pending migration. Resolves to the files applied, in order.
+async function migrate(pool, { log = console.log } = {}) {
+  const migrations = loadMigrations();
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+    const applied = await appliedMigrations(client);
+    const ran = [];
+    for (const m of migrations) {
+      const done = applied.get(m.version);
+      if (done) {
+        if (done.checksum !== m.checksum)
+          log(`[migrate] warning: ${m.file} has changed since it was applied — add a new migration instead`);
+        continue;
+      }
+      try {
+        await client.query('BEGIN');
+        await client.query(m.sql);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1,$2,$3)',
+          [m.version, m.name, m.checksum]
+        );
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${m.file} failed: ${err.message}`);
+      }
+      log('[migrate] applied', m.file);
+      ran.push(m.file);
+    }
+    return ran;
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+// [{ version, name, file, applied_at, changed }] — applied_at is null when pending.
+// Versions recorded in the database with no file on disk are listed with file: null.
+async function migrationStatus(pool) {
+  const migrations = loadMigrations();
+  const client = await pool.connect();
+  try {
+    await ensureMigrationsTable(client);
+    const applied = await appliedMigrations(client);
+    const rows = migrations.map(m => {
+      const done = applied.get(m.version);
+      return {
+        version: m.version,
+        name: m.name,
+        file: m.file,
+        applied_at: done?.applied_at || null,
+        changed: !!done && done.checksum !== m.checksum
+      };
+    });
+    for (const [version, done] of applied) {
+      if (!migrations.some(m => m.version === version))
+        rows.push({ version, name: done.name, file: null, applied_at: done.applied_at, changed: false });
+    }
+    return rows.sort((a, b) => a.version - b.version);
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { migrate, migrationStatus };
+
+if (require.main === module) {
+  const pool = require('./db');
+  const command = process.argv[2] || 'up';
+  (async () => {
+    if (command === 'up') {
+      const ran = await migrate(pool);
+      console.log(ran.length ? `${ran.length} migration(s) applied` : 'Schema up to date');
+    } else if (command === 'status') {
+      for (const m of await migrationStatus(pool)) {
+        const state = !m.applied_at ? 'pending' : m.changed ? 'applied (file changed since)' : 'applied';
+        console.log(String(m.version).padStart(3, '0'), (m.file || m.name + ' (no file)').padEnd(36), state);
+      }
+    } else {
+      throw new Error(`Unknown command "${command}" — use up or status`);
+    }
+  })()
+    .catch(err => {
+      console.error(err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
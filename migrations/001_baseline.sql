@@ -0,0 +1,202 @@
+-- Baseline: the schema initDB created before versioned migrations.
+-- Idempotent so it can be recorded against databases that already have it.
+
+CREATE TABLE IF NOT EXISTS clients (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  pin_hash TEXT NOT NULL,
+  email TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_seen TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE TABLE IF NOT EXISTS sessions (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+  started_at TIMESTAMPTZ DEFAULT NOW(),
+  ended_at TIMESTAMPTZ,
+  duration_seconds INTEGER DEFAULT 0,
+  word_count INTEGER DEFAULT 0,
+  session_number INTEGER DEFAULT 1
+);
+CREATE TABLE IF NOT EXISTS story_arc (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+  session_id INTEGER,
+  point_a TEXT, point_b TEXT, obstacle TEXT,
+  attempts TEXT, resources TEXT, meaning_made TEXT,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE TABLE IF NOT EXISTS need_scores (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+  session_id INTEGER,
+  seen INTEGER, cheered INTEGER, aimed INTEGER, guided INTEGER,
+  volition_index INTEGER,
+  recorded_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE TABLE IF NOT EXISTS affect_measurements (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+  session_id INTEGER,
+  phase TEXT NOT NULL,
+  q1 INTEGER, q2 INTEGER, q3 INTEGER, q4 INTEGER, q5 INTEGER,
+  total INTEGER,
+  recorded_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE TABLE IF NOT EXISTS conversations (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+  session_id INTEGER,
+  role TEXT NOT NULL,
+  content TEXT NOT NULL,
+  recorded_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE TABLE IF NOT EXISTS assignments (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+  session_id INTEGER,
+  assignment_text TEXT,
+  excavation_query TEXT,
+  commitment_person TEXT,
+  commitment_when TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE TABLE IF NOT EXISTS ecosystem (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+  person_name TEXT,
+  person_type TEXT,
+  needs_provided TEXT[]
+);
+CREATE TABLE IF NOT EXISTS sva_analysis (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+  session_id INTEGER REFERENCES sessions(id) ON DELETE SET NULL,
+  bio TEXT, psycho TEXT, social TEXT, behav TEXT, narr TEXT,
+  eco TEXT, phenom TEXT, epist TEXT, hist TEXT, synthesis TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(client_id, session_id)
+);
+CREATE TABLE IF NOT EXISTS arc_readings (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+  session_id INTEGER,
+  result JSONB NOT NULL,
+  generated_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE TABLE IF NOT EXISTS eco_reflections (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+  session_id INTEGER,
+  person_name TEXT,
+  emoji_response TEXT,
+  emoji_label TEXT,
+  recorded_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE TABLE IF NOT EXISTS masking_scores (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+  session_id INTEGER,
+  masking_load INTEGER,
+  recorded_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE TABLE IF NOT EXISTS groups (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  invite_code TEXT NOT NULL UNIQUE,
+  created_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  active BOOLEAN DEFAULT TRUE
+);
+CREATE TABLE IF NOT EXISTS group_members (
+  id SERIAL PRIMARY KEY,
+  group_id INTEGER REFERENCES groups(id) ON DELETE CASCADE,
+  client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+  joined_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(group_id, client_id)
+);
+CREATE TABLE IF NOT EXISTS group_messages (
+  id SERIAL PRIMARY KEY,
+  group_id INTEGER REFERENCES groups(id) ON DELETE CASCADE,
+  client_id INTEGER,
+  client_name TEXT,
+  role TEXT NOT NULL,
+  content TEXT NOT NULL,
+  recorded_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE TABLE IF NOT EXISTS group_sessions (
+  id SERIAL PRIMARY KEY,
+  group_id INTEGER REFERENCES groups(id) ON DELETE CASCADE,
+  client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+  started_at TIMESTAMPTZ DEFAULT NOW(),
+  ended_at TIMESTAMPTZ,
+  duration_seconds INTEGER,
+  message_count INTEGER DEFAULT 0
+);
+CREATE TABLE IF NOT EXISTS client_tokens (
+  token TEXT PRIMARY KEY,
+  client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+  client_name TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE TABLE IF NOT EXISTS persistent_profiles (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE UNIQUE,
+  volition_index INTEGER,
+  seen_score INTEGER, cheered_score INTEGER, aimed_score INTEGER, guided_score INTEGER,
+  masking_trend JSONB DEFAULT '[]',
+  active_patterns JSONB DEFAULT '[]',
+  risk_flags JSONB DEFAULT '[]',
+  next_priorities JSONB DEFAULT '[]',
+  last_assignment TEXT,
+  last_assignment_status TEXT DEFAULT 'pending',
+  session_count INTEGER DEFAULT 0,
+  last_session_summary TEXT,
+  profile_staleness BOOLEAN DEFAULT FALSE,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE TABLE IF NOT EXISTS session_archives (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+  session_id INTEGER,
+  session_number INTEGER,
+  compressed_summary TEXT,
+  raw_transcript_length INTEGER,
+  assignment_given TEXT,
+  affect_before INTEGER,
+  affect_after INTEGER,
+  masking_load INTEGER,
+  volition_index INTEGER,
+  archived_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE TABLE IF NOT EXISTS session_architectures (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+  session_id INTEGER,
+  movement_priorities JSONB,
+  risk_flags JSONB DEFAULT '[]',
+  opening_question TEXT,
+  hypothesis_label TEXT,
+  override_conditions TEXT,
+  generated_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE TABLE IF NOT EXISTS sovereign_moments (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+  session_id INTEGER,
+  moment_text TEXT NOT NULL,
+  detection_tier INTEGER DEFAULT 2,
+  confirmed BOOLEAN DEFAULT FALSE,
+  dismissed BOOLEAN DEFAULT FALSE,
+  practitioner_note TEXT,
+  detected_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS witness_letters (
+  id SERIAL PRIMARY KEY,
+  session_id TEXT UNIQUE,
+  letter_text TEXT,
+  practitioner_note TEXT,
+  generated_at TIMESTAMPTZ DEFAULT NOW()
+);
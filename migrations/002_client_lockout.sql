@@ -0,0 +1,5 @@
+-- Client credentials — lockout tracking
+
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS failed_attempts INTEGER DEFAULT 0;
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ;
+
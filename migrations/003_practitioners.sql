@@ -0,0 +1,21 @@
+-- Individual practitioner accounts — replace the shared PRACTITIONER_PIN
+
+CREATE TABLE IF NOT EXISTS practitioners (
+  id SERIAL PRIMARY KEY,
+  username TEXT NOT NULL UNIQUE,
+  display_name TEXT NOT NULL,
+  pin_hash TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT 'practitioner',
+  active BOOLEAN DEFAULT TRUE,
+  failed_attempts INTEGER DEFAULT 0,
+  locked_until TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_seen TIMESTAMPTZ
+);
+CREATE TABLE IF NOT EXISTS practitioner_tokens (
+  token TEXT PRIMARY KEY,
+  practitioner_id INTEGER REFERENCES practitioners(id) ON DELETE CASCADE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
@@ -0,0 +1,15 @@
+-- Caseloads — which practitioners may see which clients
+
+CREATE TABLE IF NOT EXISTS practitioner_clients (
+  id SERIAL PRIMARY KEY,
+  practitioner_id INTEGER REFERENCES practitioners(id) ON DELETE CASCADE,
+  client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+  role TEXT NOT NULL DEFAULT 'co',
+  assigned_by INTEGER REFERENCES practitioners(id) ON DELETE SET NULL,
+  assigned_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(practitioner_id, client_id)
+);
+CREATE UNIQUE INDEX IF NOT EXISTS practitioner_clients_one_primary
+  ON practitioner_clients(client_id) WHERE role='primary';
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS practitioner_id INTEGER REFERENCES practitioners(id) ON DELETE SET NULL;
+
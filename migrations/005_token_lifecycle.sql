@@ -0,0 +1,8 @@
+-- Token lifecycle — device ids, last-used tracking
+
+ALTER TABLE client_tokens ADD COLUMN IF NOT EXISTS id SERIAL;
+ALTER TABLE client_tokens ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE client_tokens ADD COLUMN IF NOT EXISTS user_agent TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS client_tokens_id ON client_tokens(id);
+CREATE INDEX IF NOT EXISTS client_tokens_client ON client_tokens(client_id);
+
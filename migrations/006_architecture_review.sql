@@ -0,0 +1,6 @@
+-- Session architecture review state
+
+ALTER TABLE session_architectures ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'draft';
+ALTER TABLE session_architectures ADD COLUMN IF NOT EXISTS reviewed_by INTEGER REFERENCES practitioners(id) ON DELETE SET NULL;
+ALTER TABLE session_architectures ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ;
+
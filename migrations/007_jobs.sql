@@ -0,0 +1,22 @@
+-- Durable job queue — post-session jobs survive restarts and redeploys
+
+CREATE TABLE IF NOT EXISTS jobs (
+  id SERIAL PRIMARY KEY,
+  job_type TEXT NOT NULL,
+  client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+  session_id INTEGER,
+  payload JSONB DEFAULT '{}',
+  state TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER DEFAULT 0,
+  max_attempts INTEGER DEFAULT 5,
+  run_after TIMESTAMPTZ DEFAULT NOW(),
+  locked_at TIMESTAMPTZ,
+  last_error TEXT,
+  chain BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  finished_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS jobs_ready ON jobs(state, run_after);
+CREATE INDEX IF NOT EXISTS jobs_session ON jobs(session_id);
+
@@ -0,0 +1,30 @@
+-- One row per model call, and per-client / per-group token quota overrides
+
+CREATE TABLE IF NOT EXISTS llm_usage (
+  id BIGSERIAL PRIMARY KEY,
+  task TEXT NOT NULL,
+  model TEXT,
+  input_tokens INTEGER DEFAULT 0,
+  output_tokens INTEGER DEFAULT 0,
+  latency_ms INTEGER,
+  status INTEGER,
+  client_id INTEGER REFERENCES clients(id) ON DELETE SET NULL,
+  session_id INTEGER,
+  group_id INTEGER REFERENCES groups(id) ON DELETE SET NULL,
+  job_id INTEGER,
+  job_type TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS llm_usage_client ON llm_usage(client_id, created_at);
+CREATE INDEX IF NOT EXISTS llm_usage_group ON llm_usage(group_id, created_at);
+CREATE INDEX IF NOT EXISTS llm_usage_created ON llm_usage(created_at);
+CREATE TABLE IF NOT EXISTS usage_quotas (
+  scope TEXT NOT NULL,
+  scope_id INTEGER NOT NULL,
+  daily_tokens INTEGER,
+  monthly_tokens INTEGER,
+  updated_by INTEGER REFERENCES practitioners(id) ON DELETE SET NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (scope, scope_id)
+);
+
@@ -0,0 +1,46 @@
+-- Foreign keys, indexes and constraints the original tables never had.
+-- Constraints are added NOT VALID: they apply to every new write without
+-- failing on rows written before them. VALIDATE CONSTRAINT once data is clean.
+
+-- session_id columns point at sessions (sva_analysis already did)
+ALTER TABLE conversations        ADD CONSTRAINT conversations_session_fk        FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE SET NULL NOT VALID;
+ALTER TABLE story_arc            ADD CONSTRAINT story_arc_session_fk            FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE SET NULL NOT VALID;
+ALTER TABLE need_scores          ADD CONSTRAINT need_scores_session_fk          FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE SET NULL NOT VALID;
+ALTER TABLE affect_measurements  ADD CONSTRAINT affect_measurements_session_fk  FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE SET NULL NOT VALID;
+ALTER TABLE assignments          ADD CONSTRAINT assignments_session_fk          FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE SET NULL NOT VALID;
+ALTER TABLE arc_readings         ADD CONSTRAINT arc_readings_session_fk         FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE SET NULL NOT VALID;
+ALTER TABLE eco_reflections      ADD CONSTRAINT eco_reflections_session_fk      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE SET NULL NOT VALID;
+ALTER TABLE masking_scores       ADD CONSTRAINT masking_scores_session_fk       FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE SET NULL NOT VALID;
+ALTER TABLE session_archives     ADD CONSTRAINT session_archives_session_fk     FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE SET NULL NOT VALID;
+ALTER TABLE session_architectures ADD CONSTRAINT session_architectures_session_fk FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE SET NULL NOT VALID;
+ALTER TABLE sovereign_moments    ADD CONSTRAINT sovereign_moments_session_fk    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE SET NULL NOT VALID;
+
+-- Group messages keep their text when a member's account goes
+ALTER TABLE group_messages ADD CONSTRAINT group_messages_client_fk FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE SET NULL NOT VALID;
+
+-- Closed value sets
+ALTER TABLE practitioners         ADD CONSTRAINT practitioners_role_check         CHECK (role IN ('practitioner', 'admin')) NOT VALID;
+ALTER TABLE practitioner_clients  ADD CONSTRAINT practitioner_clients_role_check  CHECK (role IN ('primary', 'co', 'supervisor')) NOT VALID;
+ALTER TABLE session_architectures ADD CONSTRAINT session_architectures_status_check CHECK (status IN ('draft', 'reviewed')) NOT VALID;
+ALTER TABLE jobs                  ADD CONSTRAINT jobs_state_check                 CHECK (state IN ('pending', 'running', 'done', 'failed')) NOT VALID;
+ALTER TABLE usage_quotas          ADD CONSTRAINT usage_quotas_scope_check         CHECK (scope IN ('client', 'group')) NOT VALID;
+
+-- Lookups the server makes on every request or page load
+CREATE INDEX IF NOT EXISTS conversations_client_session      ON conversations(client_id, session_id);
+CREATE INDEX IF NOT EXISTS sessions_client                   ON sessions(client_id, started_at);
+CREATE INDEX IF NOT EXISTS story_arc_client                  ON story_arc(client_id);
+CREATE INDEX IF NOT EXISTS need_scores_client                ON need_scores(client_id, recorded_at);
+CREATE INDEX IF NOT EXISTS affect_measurements_client_session ON affect_measurements(client_id, session_id);
+CREATE INDEX IF NOT EXISTS assignments_client                ON assignments(client_id, created_at);
+CREATE INDEX IF NOT EXISTS ecosystem_client                  ON ecosystem(client_id);
+CREATE INDEX IF NOT EXISTS arc_readings_client               ON arc_readings(client_id);
+CREATE INDEX IF NOT EXISTS eco_reflections_client            ON eco_reflections(client_id);
+CREATE INDEX IF NOT EXISTS masking_scores_client             ON masking_scores(client_id, recorded_at);
+CREATE INDEX IF NOT EXISTS session_archives_client_session   ON session_archives(client_id, session_id);
+CREATE INDEX IF NOT EXISTS session_architectures_client      ON session_architectures(client_id, generated_at);
+CREATE INDEX IF NOT EXISTS sovereign_moments_client_session  ON sovereign_moments(client_id, session_id);
+CREATE INDEX IF NOT EXISTS group_messages_group_recorded     ON group_messages(group_id, recorded_at);
+CREATE INDEX IF NOT EXISTS group_members_client              ON group_members(client_id);
+CREATE INDEX IF NOT EXISTS group_sessions_group_client       ON group_sessions(group_id, client_id);
+CREATE INDEX IF NOT EXISTS practitioner_tokens_practitioner  ON practitioner_tokens(practitioner_id);
+CREATE INDEX IF NOT EXISTS practitioner_clients_client       ON practitioner_clients(client_id);
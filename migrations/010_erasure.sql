@@ -0,0 +1,35 @@
+-- Account erasure: practitioner-approved requests with a grace period, and a
+-- tombstone per completed erasure. Neither table references clients — both
+-- must outlive the client they describe.
+
+CREATE TABLE erasure_requests (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER NOT NULL,
+  client_name TEXT, -- cleared once the erasure completes
+  requested_by TEXT NOT NULL CHECK (requested_by IN ('client', 'practitioner')),
+  requested_by_practitioner INTEGER REFERENCES practitioners(id) ON DELETE SET NULL,
+  reason TEXT,
+  status TEXT NOT NULL DEFAULT 'pending_approval'
+    CHECK (status IN ('pending_approval', 'scheduled', 'running', 'completed', 'cancelled')),
+  approved_by INTEGER REFERENCES practitioners(id) ON DELETE SET NULL,
+  approved_at TIMESTAMPTZ,
+  scheduled_for TIMESTAMPTZ,
+  cancelled_by TEXT,
+  cancelled_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE UNIQUE INDEX erasure_requests_one_open ON erasure_requests(client_id)
+  WHERE status IN ('pending_approval', 'scheduled', 'running');
+
+CREATE TABLE erasure_tombstones (
+  id SERIAL PRIMARY KEY,
+  erasure_request_id INTEGER UNIQUE REFERENCES erasure_requests(id),
+  client_id INTEGER NOT NULL,
+  rows_deleted JSONB NOT NULL DEFAULT '{}',
+  rows_anonymised JSONB NOT NULL DEFAULT '{}',
+  aggregator_session_ids TEXT[] DEFAULT '{}',
+  aggregator_status TEXT NOT NULL DEFAULT 'pending',
+  approved_by INTEGER REFERENCES practitioners(id) ON DELETE SET NULL,
+  erased_at TIMESTAMPTZ DEFAULT NOW()
+);
@@ -0,0 +1,36 @@
+-- Append-only record of every practitioner request. No foreign keys: entries
+-- must outlive the practitioners and clients they mention, and an ON DELETE
+-- action would itself be an UPDATE or DELETE on this table.
+
+CREATE TABLE audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  practitioner_id INTEGER,
+  practitioner_username TEXT,
+  client_id INTEGER,
+  group_id INTEGER,
+  action TEXT NOT NULL, -- read | write | delete
+  method TEXT NOT NULL,
+  route TEXT NOT NULL,  -- route pattern, e.g. /practitioner/client/:id
+  path TEXT NOT NULL,
+  status_code INTEGER,
+  detail JSONB,
+  ip TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX audit_log_client ON audit_log(client_id, created_at);
+CREATE INDEX audit_log_practitioner ON audit_log(practitioner_id, created_at);
+CREATE INDEX audit_log_created ON audit_log(created_at);
+
+CREATE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_log_no_update_delete
+  BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+CREATE TRIGGER audit_log_no_truncate
+  BEFORE TRUNCATE ON audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
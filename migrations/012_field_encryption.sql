@@ -0,0 +1,9 @@
+-- Which field encryption key sealed each row's sensitive columns (see
+-- fieldcrypt.js). NULL means plaintext, written before encryption was on.
+
+ALTER TABLE conversations       ADD COLUMN IF NOT EXISTS enc_key_id TEXT;
+ALTER TABLE group_messages      ADD COLUMN IF NOT EXISTS enc_key_id TEXT;
+ALTER TABLE sva_analysis        ADD COLUMN IF NOT EXISTS enc_key_id TEXT;
+ALTER TABLE session_archives    ADD COLUMN IF NOT EXISTS enc_key_id TEXT;
+ALTER TABLE witness_letters     ADD COLUMN IF NOT EXISTS enc_key_id TEXT;
+ALTER TABLE persistent_profiles ADD COLUMN IF NOT EXISTS enc_key_id TEXT;
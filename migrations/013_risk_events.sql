@@ -0,0 +1,31 @@
+-- Risk detected in a client's message as it arrives (see risk.js). An open
+-- event alerts the client's practitioners and puts the Guide into its safety
+-- protocol until a practitioner resolves it or model review dismisses it.
+
+CREATE TABLE risk_events (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+  session_id INTEGER REFERENCES sessions(id) ON DELETE SET NULL,
+  group_id INTEGER REFERENCES groups(id) ON DELETE SET NULL,
+  source TEXT NOT NULL CHECK (source IN ('conversation', 'group')),
+  message_id INTEGER, -- conversations.id or group_messages.id, by source
+  category TEXT NOT NULL,
+  severity TEXT NOT NULL CHECK (severity IN ('high', 'medium')),
+  rule TEXT NOT NULL,
+  excerpt TEXT,
+  model_verdict TEXT, -- INTERNAL_STATE | EXTERNAL_EVENT | TECHNICAL_REPORT, null if not reviewed
+  model_rationale TEXT,
+  status TEXT NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'acknowledged', 'resolved', 'dismissed')),
+  alerted_at TIMESTAMPTZ,
+  acknowledged_by INTEGER REFERENCES practitioners(id) ON DELETE SET NULL,
+  acknowledged_at TIMESTAMPTZ,
+  resolved_by INTEGER REFERENCES practitioners(id) ON DELETE SET NULL,
+  resolved_at TIMESTAMPTZ,
+  resolution_note TEXT,
+  enc_key_id TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX risk_events_client ON risk_events(client_id, created_at DESC);
+CREATE INDEX risk_events_group ON risk_events(group_id, created_at DESC) WHERE group_id IS NOT NULL;
+CREATE INDEX risk_events_open ON risk_events(created_at DESC) WHERE status IN ('open', 'acknowledged');
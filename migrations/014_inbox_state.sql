@@ -0,0 +1,12 @@
+-- Per-practitioner read/done state for inbox items (see GET /practitioner/inbox).
+-- Items themselves are derived on the fly; keys carry a version, so an item
+-- that changes (a job failing again, new risk flags) comes back as unread.
+
+CREATE TABLE inbox_state (
+  practitioner_id INTEGER NOT NULL REFERENCES practitioners(id) ON DELETE CASCADE,
+  item_key TEXT NOT NULL,
+  read_at TIMESTAMPTZ,
+  done_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (practitioner_id, item_key)
+);
@@ -0,0 +1,4 @@
+-- The affect shift buildSessionArchive computes (see analytics.affectShiftPct),
+-- kept per archive so outcome analytics can read it instead of recomputing.
+
+ALTER TABLE session_archives ADD COLUMN IF NOT EXISTS affect_shift_pct REAL;
@@ -0,0 +1,6 @@
+-- Themes deriveThemesFromSummary picks for each archived session, so caseload
+-- analytics can count them in SQL. Fixed labels (e.g. 'hope_deferred'), not
+-- free text, so they stay in plaintext. Archives written before this are NULL
+-- until the archive is rebuilt.
+
+ALTER TABLE session_archives ADD COLUMN IF NOT EXISTS dominant_themes TEXT[];
@@ -0,0 +1,20 @@
+-- Group administration: invite codes that expire, run out or get rotated, a
+-- size cap, archived groups (active=FALSE keeps the history) and bans that
+-- stop a removed member rejoining with the invite code.
+
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS invite_expires_at TIMESTAMPTZ;
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS invite_max_uses INTEGER CHECK (invite_max_uses > 0);
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS invite_uses INTEGER NOT NULL DEFAULT 0; -- since the code was last rotated
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS invite_rotated_at TIMESTAMPTZ;
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS max_members INTEGER CHECK (max_members > 0);
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS archived_by INTEGER REFERENCES practitioners(id) ON DELETE SET NULL;
+
+CREATE TABLE group_bans (
+  group_id INTEGER REFERENCES groups(id) ON DELETE CASCADE,
+  client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+  banned_by INTEGER REFERENCES practitioners(id) ON DELETE SET NULL,
+  reason TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (group_id, client_id)
+);
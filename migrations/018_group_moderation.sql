@@ -0,0 +1,22 @@
+-- Practitioners in the group room: facilitator messages (role 'facilitator',
+-- posted by practitioner_id), hidden or redacted messages with the reason,
+-- timed mutes, and a switch that pauses the Guide.
+
+ALTER TABLE group_messages ADD COLUMN IF NOT EXISTS practitioner_id INTEGER REFERENCES practitioners(id) ON DELETE SET NULL;
+ALTER TABLE group_messages ADD COLUMN IF NOT EXISTS moderation TEXT CHECK (moderation IN ('hidden', 'redacted'));
+ALTER TABLE group_messages ADD COLUMN IF NOT EXISTS moderation_reason TEXT;
+ALTER TABLE group_messages ADD COLUMN IF NOT EXISTS moderated_by INTEGER REFERENCES practitioners(id) ON DELETE SET NULL;
+ALTER TABLE group_messages ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMPTZ;
+
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS guide_paused_at TIMESTAMPTZ;
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS guide_paused_by INTEGER REFERENCES practitioners(id) ON DELETE SET NULL;
+
+CREATE TABLE group_mutes (
+  group_id INTEGER REFERENCES groups(id) ON DELETE CASCADE,
+  client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+  muted_until TIMESTAMPTZ NOT NULL,
+  muted_by INTEGER REFERENCES practitioners(id) ON DELETE SET NULL,
+  reason TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (group_id, client_id)
+);
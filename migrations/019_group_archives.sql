@@ -0,0 +1,47 @@
+-- Post-session pipeline for group rooms: one archive per meeting (compressed
+-- summary, cross-member themes, echoes between members) and sovereign moments
+-- attributed to the member who spoke. Group jobs carry group_id instead of a client.
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS group_id INTEGER REFERENCES groups(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS jobs_group ON jobs(group_id) WHERE group_id IS NOT NULL;
+
+-- Copy each member's group moments onto their own sovereign moment record
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS moments_to_profiles BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE group_archives (
+  id SERIAL PRIMARY KEY,
+  group_id INTEGER REFERENCES groups(id) ON DELETE CASCADE,
+  from_message_id INTEGER NOT NULL, -- group_messages.id range the archive covers
+  to_message_id INTEGER NOT NULL,
+  started_at TIMESTAMPTZ,
+  ended_at TIMESTAMPTZ,
+  member_ids INTEGER[] NOT NULL DEFAULT '{}', -- members who spoke
+  message_count INTEGER,
+  compressed_summary TEXT,
+  themes JSONB,
+  echoes JSONB,
+  moments_detected_at TIMESTAMPTZ,
+  enc_key_id TEXT,
+  archived_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (group_id, to_message_id)
+);
+CREATE INDEX group_archives_group ON group_archives(group_id, to_message_id DESC);
+
+CREATE TABLE group_sovereign_moments (
+  id SERIAL PRIMARY KEY,
+  group_archive_id INTEGER REFERENCES group_archives(id) ON DELETE CASCADE,
+  group_id INTEGER REFERENCES groups(id) ON DELETE CASCADE,
+  client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+  message_id INTEGER, -- group_messages.id the quote came from
+  moment_text TEXT NOT NULL,
+  detection_tier INTEGER DEFAULT 2,
+  confirmed BOOLEAN DEFAULT FALSE,
+  dismissed BOOLEAN DEFAULT FALSE,
+  practitioner_note TEXT,
+  sovereign_moment_id INTEGER REFERENCES sovereign_moments(id) ON DELETE SET NULL, -- the copy on the member's record
+  detected_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX group_sovereign_moments_group ON group_sovereign_moments(group_id, detected_at);
+CREATE INDEX group_sovereign_moments_client ON group_sovereign_moments(client_id);
+
+ALTER TABLE sovereign_moments ADD COLUMN IF NOT EXISTS group_id INTEGER REFERENCES groups(id) ON DELETE SET NULL;
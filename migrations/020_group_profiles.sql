@@ -0,0 +1,18 @@
+-- Persistent memory for a group, the counterpart of persistent_profiles: what
+-- keeps coming back, what the group has agreed, what is still open, and what
+-- each member has said they want from the group. Built only from the group's
+-- own conversation — never from members' 1:1 sessions.
+
+CREATE TABLE group_profiles (
+  id SERIAL PRIMARY KEY,
+  group_id INTEGER REFERENCES groups(id) ON DELETE CASCADE UNIQUE,
+  recurring_themes JSONB DEFAULT '[]',
+  norms JSONB DEFAULT '[]',
+  unresolved_threads JSONB DEFAULT '[]',
+  member_intentions JSONB DEFAULT '[]', -- [{ client_id, intention }]
+  last_group_archive_id INTEGER REFERENCES group_archives(id) ON DELETE SET NULL, -- newest archive folded in
+  archive_count INTEGER DEFAULT 0,
+  profile_staleness BOOLEAN DEFAULT FALSE,
+  enc_key_id TEXT,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
@@ -0,0 +1,21 @@
+-- Group Guide drafts withheld by the privacy check (see privacy.js), one row per
+-- member whose private record the draft overlapped, for practitioner review.
+-- action: 'regenerated' (a new reply was asked for) or 'fallback' (the safe reply was sent).
+
+CREATE TABLE group_privacy_interventions (
+  id SERIAL PRIMARY KEY,
+  group_id INTEGER REFERENCES groups(id) ON DELETE CASCADE,
+  client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE, -- whose private content matched
+  attempt INTEGER NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('regenerated', 'fallback')),
+  draft_text TEXT,
+  matches JSONB, -- [{ kind, excerpts }]
+  message_id INTEGER, -- group_messages.id of the reply that was sent instead
+  reviewed_by INTEGER REFERENCES practitioners(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMPTZ,
+  review_note TEXT,
+  enc_key_id TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX group_privacy_interventions_client ON group_privacy_interventions(client_id, created_at DESC);
+CREATE INDEX group_privacy_interventions_open ON group_privacy_interventions(created_at DESC) WHERE reviewed_at IS NULL;
@@ -0,0 +1,6 @@
+-- One-time reset codes a practitioner issues so a client can set a new PIN.
+-- Only the scrypt hash is stored; the code is shown to the practitioner once.
+
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS reset_code_hash TEXT;
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS reset_code_expires_at TIMESTAMPTZ;
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS reset_code_issued_by INTEGER REFERENCES practitioners(id) ON DELETE SET NULL;
@@ -0,0 +1,11 @@
+-- An erasure whose job gave up is marked failed rather than left 'running', so
+-- practitioners see it and can retry or cancel it. It still counts as open.
+
+ALTER TABLE erasure_requests DROP CONSTRAINT IF EXISTS erasure_requests_status_check;
+ALTER TABLE erasure_requests ADD CONSTRAINT erasure_requests_status_check
+  CHECK (status IN ('pending_approval', 'scheduled', 'running', 'failed', 'completed', 'cancelled'));
+ALTER TABLE erasure_requests ADD COLUMN IF NOT EXISTS failed_at TIMESTAMPTZ;
+
+DROP INDEX IF EXISTS erasure_requests_one_open;
+CREATE UNIQUE INDEX erasure_requests_one_open ON erasure_requests(client_id)
+  WHERE status IN ('pending_approval', 'scheduled', 'running', 'failed');
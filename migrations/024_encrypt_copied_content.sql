@@ -0,0 +1,8 @@
+-- Tables that hold copies of sealed content: session plans carry the profile's
+-- risk flags, sovereign moments quote the conversation verbatim. Their text is
+-- sealed like the originals (session_archives.assignment_given reuses the
+-- table's existing enc_key_id). Rows written before this stay plaintext until
+-- reencrypt.js runs.
+
+ALTER TABLE session_architectures ADD COLUMN IF NOT EXISTS enc_key_id TEXT;
+ALTER TABLE sovereign_moments     ADD COLUMN IF NOT EXISTS enc_key_id TEXT;
@@ -0,0 +1,4 @@
+-- Group sovereign moments quote group_messages verbatim, so moment_text is
+-- sealed like the messages it came from (see fieldcrypt.js).
+
+ALTER TABLE group_sovereign_moments ADD COLUMN IF NOT EXISTS enc_key_id TEXT;
@@ -0,0 +1,12 @@
+-- Whether a profile carries any risk flags, kept in plain text beside the sealed
+-- risk_flags so the inbox can find flagged profiles without decrypting them all.
+-- Sealed rows cannot be read here; they count as flagged until the profile is
+-- next updated, so the inbox still opens and checks them meanwhile.
+
+ALTER TABLE persistent_profiles ADD COLUMN IF NOT EXISTS has_risk_flags BOOLEAN NOT NULL DEFAULT FALSE;
+
+UPDATE persistent_profiles SET has_risk_flags = TRUE
+WHERE jsonb_typeof(risk_flags) = 'string'
+   OR (jsonb_typeof(risk_flags) = 'array'
+       AND EXISTS (SELECT 1 FROM jsonb_array_elements(risk_flags) f
+                   WHERE f NOT IN ('null'::jsonb, '""'::jsonb, 'false'::jsonb, '0'::jsonb)));
@@ -0,0 +1,38 @@
+// Finding a person's name in free text, for erasure and the group privacy check.
+// Names match case-sensitively, as capitalised words. Names that are also
+// everyday words ("Hope", "Will", "May") are not matched on their own at all —
+// "you may find hope" is not a mention of anyone.
+
+const MIN_NAME_LENGTH = 3;
+
+const COMMON_WORD_NAMES = new Set((
+  'amber angel april art august autumn bill bliss bob brook buck chance chase cliff crystal daisy dale dawn ' +
+  'dean destiny dot drew earl faith fern frank gene glen glory grace grant guy harmony hazel heather holly ' +
+  'honey hope hunter iris ivy jack jade jewel jay joy june justice lane lark laurel lily love mark march ' +
+  'may melody miles mint misty nick page pat patience pearl penny pepper poppy rain ray reed rich river ' +
+  'rob robin rock rose ruby rusty sage sandy scout shelly sky skye spring star stone storm summer sunny ' +
+  'sue trust victory violet wade ward will willow winter wren'
+).split(' '));
+
+const escapeRegExp = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "ana lópez" -> "Ana López"
+const capitalise = name => name.replace(/(^|\s)(\p{Ll})/gu, (m, space, letter) => space + letter.toUpperCase());
+
+// False for names too short, or made only of everyday words, to match safely
+function isMatchableName(name) {
+  const clean = String(name || '').trim();
+  if (clean.length < MIN_NAME_LENGTH) return false;
+  return !clean.toLowerCase().split(/\s+/).every(w => COMMON_WORD_NAMES.has(w));
+}
+
+// A global, case-sensitive RegExp for the name as written and capitalised, or
+// null when isMatchableName() says it cannot be matched safely
+function namePattern(name) {
+  const clean = String(name || '').trim().replace(/\s+/g, ' ');
+  if (!isMatchableName(clean)) return null;
+  const forms = [...new Set([clean, capitalise(clean)])].map(escapeRegExp).join('|');
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${forms})(?![\\p{L}\\p{N}])`, 'gu');
+}
+
+module.exports = { MIN_NAME_LENGTH, isMatchableName, namePattern };
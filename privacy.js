@@ -0,0 +1,71 @@
+// Output check for the group Guide. The group prompt never carries members' 1:1
+// data, but every reply is still compared with it before anyone sees it: names
+// from a member's private record, and runs of words shared with their private
+// text. Anything already said openly in the group is not a leak. Names match
+// as capitalised words; everyday-word names ("May", "Grace") only through phrases.
+
+const names = require('./names');
+
+// Phrase overlap: this many consecutive words in common with a private text
+const PHRASE_WORDS = 5;
+// ...of which at least this many must be content words, so "I am here with you" never counts
+const MIN_CONTENT_WORDS = 2;
+const MAX_EXCERPTS = 3;
+
+// Relationship words people use as names — too common in a reply to mean anything
+const GENERIC_NAMES = new Set(('mum mom mam dad mother father parents sister brother partner friend wife husband son ' +
+  'daughter boss god nan gran grandma grandad grandpa aunt uncle teacher doctor therapist me myself').split(' '));
+
+const STOPWORDS = new Set((
+  'a an and are as at be been but by can could did do does for from had has have he her here him his how i if in ' +
+  'into is it its just me my no not now of on or our out she so some than that the their them then there they ' +
+  'this to too up us was we were what when where which who will with would you your yours it\'s i\'m you\'re'
+).split(' '));
+
+function words(text) {
+  return String(text || '').toLowerCase().replace(/[’‘]/g, "'").match(/[\p{L}\p{N}']+/gu) || [];
+}
+
+// Every PHRASE_WORDS-word run with enough content words, as "w1 w2 w3 w4 w5"
+function phrases(text) {
+  const w = words(text);
+  const out = new Set();
+  for (let i = 0; i + PHRASE_WORDS <= w.length; i++) {
+    const run = w.slice(i, i + PHRASE_WORDS);
+    if (run.filter(x => !STOPWORDS.has(x)).length >= MIN_CONTENT_WORDS) out.add(run.join(' '));
+  }
+  return out;
+}
+
+const mentions = (text, pattern) => String(text || '').search(pattern) !== -1;
+
+// reply: the Guide's draft. sources: [{ clientId, kind, text, name: true|false }] —
+// name sources are matched as whole names (names.namePattern), the rest by phrase.
+// shared: what the group has seen (recent messages, member names). Returns one
+// finding per client and kind: [{ clientId, kind, excerpts }], empty when clean.
+function findLeaks(reply, sources, shared = '') {
+  const replyPhrases = phrases(reply);
+  const sharedPhrases = phrases(shared);
+  const found = new Map();
+  const add = (source, excerpt) => {
+    const key = `${source.clientId}:${source.kind}`;
+    if (!found.has(key)) found.set(key, { clientId: source.clientId, kind: source.kind, excerpts: [] });
+    const f = found.get(key);
+    if (f.excerpts.length < MAX_EXCERPTS && !f.excerpts.includes(excerpt)) f.excerpts.push(excerpt);
+  };
+  for (const source of sources) {
+    const text = String(source.text || '').trim();
+    if (!text) continue;
+    if (source.name) {
+      const pattern = !GENERIC_NAMES.has(text.toLowerCase()) && names.namePattern(text);
+      if (pattern && mentions(reply, pattern) && !mentions(shared, pattern)) add(source, text);
+      continue;
+    }
+    for (const p of phrases(text)) {
+      if (replyPhrases.has(p) && !sharedPhrases.has(p)) add(source, p);
+    }
+  }
+  return [...found.values()];
+}
+
+module.exports = { findLeaks };
@@ -0,0 +1,95 @@
+// Moves every sensitive row onto the current field encryption key: plaintext
+// rows get encrypted, rows sealed with an older key are re-sealed, and rows
+// already on the current key that still hold a plaintext column (one added to
+// ENCRYPTED_COLUMNS after the row was written) are completed. Runs in small
+// batches and skips rows written concurrently, so it is safe to run against
+// the live database.
+//
+//   node reencrypt.js          re-encrypt everything not fully on the current key
+//   node reencrypt.js status   rows per table and key id, and rows with plaintext columns
+const pool = require('./db');
+const fieldcrypt = require('./fieldcrypt');
+
+const BATCH_SIZE = parseInt(process.env.REENCRYPT_BATCH_SIZE) || 200;
+const BATCH_PAUSE_MS = 50; // give live traffic room between batches
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// SQL condition: some listed column holds a value that is not sealed
+function unsealedCondition(table) {
+  const { text = [], json = [] } = fieldcrypt.ENCRYPTED_COLUMNS[table];
+  const prefix = `'${fieldcrypt.PREFIX}%'`;
+  return [
+    ...text.map(c => `(${c} IS NOT NULL AND ${c} NOT LIKE ${prefix})`),
+    ...json.map(c => `(${c} IS NOT NULL AND NOT (jsonb_typeof(${c}) = 'string' AND ${c} #>> '{}' LIKE ${prefix}))`)
+  ].join(' OR ');
+}
+
+async function reencryptTable(table) {
+  const { text = [], json = [] } = fieldcrypt.ENCRYPTED_COLUMNS[table];
+  const columns = [...text, ...json];
+  const current = fieldcrypt.keyId();
+  let lastId = 0;
+  let updated = 0;
+  for (;;) {
+    const batch = await pool.query(
+      `SELECT id, enc_key_id, ${columns.join(', ')} FROM ${table}
+       WHERE (enc_key_id IS DISTINCT FROM $1 OR ${unsealedCondition(table)}) AND id > $2 ORDER BY id ASC LIMIT $3`,
+      [current, lastId, BATCH_SIZE]
+    );
+    if (!batch.rows.length) break;
+    for (const row of batch.rows) {
+      lastId = row.id;
+      const values = [
+        ...text.map(c => fieldcrypt.seal(fieldcrypt.open(row[c]))),
+        ...json.map(c => row[c] === null ? null : fieldcrypt.sealJSON(fieldcrypt.openJSON(row[c])))
+      ];
+      const sets = columns.map((c, i) => `${c}=$${i + 1}`).join(', ');
+      // Only if nobody rewrote the row since we read it. A writer on the current
+      // key leaves enc_key_id as it was, so the columns themselves are compared too.
+      const n = columns.length;
+      const unchanged = columns.map((c, i) => `${c} IS NOT DISTINCT FROM $${n + 4 + i}${json.includes(c) ? '::jsonb' : ''}`);
+      const r = await pool.query(
+        `UPDATE ${table} SET ${sets}, enc_key_id=$${n + 1}
+         WHERE id=$${n + 2} AND enc_key_id IS NOT DISTINCT FROM $${n + 3} AND ${unchanged.join(' AND ')}`,
+        [...values, current, row.id, row.enc_key_id,
+         ...text.map(c => row[c]), ...json.map(c => row[c] === null ? null : JSON.stringify(row[c]))]
+      );
+      updated += r.rowCount;
+    }
+    console.log(`[reencrypt] ${table}: ${updated} rows so far`);
+    await sleep(BATCH_PAUSE_MS);
+  }
+  return updated;
+}
+
+async function status() {
+  for (const table of Object.keys(fieldcrypt.ENCRYPTED_COLUMNS)) {
+    const r = await pool.query(
+      `SELECT COALESCE(enc_key_id, '(plaintext)') AS key_id, COUNT(*)::int AS rows
+       FROM ${table} GROUP BY 1 ORDER BY 1`
+    );
+    const unsealed = await pool.query(`SELECT COUNT(*)::int AS rows FROM ${table} WHERE ${unsealedCondition(table)}`);
+    console.log(table.padEnd(20), r.rows.map(x => `${x.key_id}: ${x.rows}`).join(', ') || 'empty',
+      unsealed.rows[0].rows ? `— ${unsealed.rows[0].rows} with plaintext columns` : '');
+  }
+}
+
+if (require.main === module) {
+  const command = process.argv[2] || 'run';
+  (async () => {
+    if (command === 'status') return status();
+    if (command !== 'run') throw new Error(`Unknown command "${command}" — use run or status`);
+    if (!fieldcrypt.keyId()) throw new Error('No field encryption key configured — set FIELD_ENCRYPTION_KEYS or FIELD_ENCRYPTION_KEY_FILE');
+    console.log('[reencrypt] current key:', fieldcrypt.keyId());
+    for (const table of Object.keys(fieldcrypt.ENCRYPTED_COLUMNS)) {
+      const n = await reencryptTable(table);
+      console.log(`[reencrypt] ${table}: done, ${n} rows re-encrypted`);
+    }
+  })()
+    .catch(err => {
+      console.error(err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
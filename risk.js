@@ -0,0 +1,93 @@
+// In-line risk screening for client messages. A fast lexicon pass runs on every
+// message; hits can then be reviewed by a small model that applies the same
+// internal-state / external-event rules as the session archive FLAGS.
+const llm = require('./llm');
+
+// Shared with the session archive prompt so both stages classify risk the same way
+const FLAG_CLASSIFICATION_RULES = `CRITICAL FLAG CLASSIFICATION RULES:
+Before generating FLAGS, classify each potential flag as one of:
+- INTERNAL STATE: Person describing their own psychological/emotional/bodily experience → may be clinically significant
+- EXTERNAL EVENT REPORT: Person describing something that happened outside them (e.g. "you have frozen", "the screen went blank", "my phone rang") → DO NOT flag clinically; note as session event only if it interrupted a significant moment
+- TECHNICAL REPORT: Person commenting on the session technology or connection → exclude entirely from clinical flags
+
+Only INTERNAL STATE language can generate clinical flags. External event reports must never generate dissociation, overwhelm, or psychological risk flags.
+
+CONNECTIVITY EVENTS: If the transcript shows the person saying something like "you have frozen", "you disappeared", "are you there", "the connection dropped" — this is a connectivity rupture, not a clinical signal. Note it as: "Connectivity rupture occurred mid-session — learner named it and remained present. Review transcript at reconnection point to assess whether repair was made."`;
+
+// Highest severity first — the first rule that matches wins
+const RISK_RULES = [
+  // First person only: "take it all in" and "we should end it all on a high note" are not risk
+  { id: 'suicide_explicit', category: 'suicidal_ideation', severity: 'high',
+    pattern: /\b(kill(ing)?|hang(ing)?) myself\b|\b(end(ing)?|take|taking) my (own )?life\b|\bI('m| am)?( just| really)? (want(ed)? to|wanna|need to|ready to|decided to|planning to|going to|gonna|will|might|could) end it all\b|\bI'll( just)? end it all\b|\bsuicid(e|al)\b/i },
+  { id: 'wish_dead', category: 'suicidal_ideation', severity: 'high',
+    pattern: /\b(want(ed)?|wanna|wish(ed)?|going|ready) (I was |I were |to be |to )?(die|dead)\b|\bbetter off (dead|without me)\b|\b(no|nothing( left)?) (reason )?to live for\b|\bdon'?t want to (be alive|live|wake up)\b/i },
+  { id: 'self_harm', category: 'self_harm', severity: 'high',
+    pattern: /\b(cut|cutting|hurt|hurting|harm|harming|burn|burning|starve|starving) myself\b|\bself[- ]?harm(ing)?\b|\boverdos(e|ed|ing)\b/i },
+  { id: 'harm_others', category: 'harm_to_others', severity: 'high',
+    pattern: /\b(want|going|planning|ready) to (kill|hurt|stab|shoot) (him|her|them|someone|somebody|you|my \w+)\b|\bwant (him|her|them) dead\b/i },
+  { id: 'unsafe_home', category: 'safeguarding', severity: 'medium',
+    pattern: /\b(he|she|they) (hits|hit|beats|beat|hurts|chokes|choked) me\b|\b(not|never) safe at home\b|\bafraid to go home\b/i },
+  { id: 'hopelessness', category: 'hopelessness', severity: 'medium',
+    pattern: /\b(can'?t|cannot) go on\b|\bno point (in )?(living|anything|going on)\b|\b(feel|feeling|felt) (so |completely |totally |utterly )?hopeless\b|\bgive up on (life|everything)\b|\bnot be here anymore\b/i }
+];
+
+// Phrases the lexicon would otherwise misread: EXTERNAL EVENT and TECHNICAL
+// REPORT language and common idioms. A rule match inside one of these is ignored.
+const RISK_EXCLUSIONS = [
+  /\b(phone|battery|screen|app|laptop|computer|connection|wi-?fi|internet|video|call|audio|mic|camera|signal|charger)\b[\w\s']{0,20}\b(died|dead|dying|killed|froze|frozen|crashed)\b/gi,
+  /\b(dying|dead) (to (see|know|try|hear|meet)|tired|serious|on my feet)\b/gi,
+  /\b(kill(ing)? time|killing it|to die for|killing me|laughed so hard)\b/gi,
+  /\b(die|dying|died|dead) (of|from|with) (embarrassment|shame|boredom|laughter|laughing|cringe|curiosity|jealousy)\b/gi,
+  /\bend(ing)? (it |it all |things )?on a (high|good|positive) note\b/gi
+];
+
+const EXCERPT_CHARS = 160;
+
+function excerptAround(text, index, length) {
+  const start = Math.max(0, index - (EXCERPT_CHARS - length) / 2);
+  const end = Math.min(text.length, start + EXCERPT_CHARS);
+  return (start > 0 ? '…' : '') + text.slice(start, end).trim() + (end < text.length ? '…' : '');
+}
+
+// Lexicon pass — synchronous and cheap enough to run on every message.
+// Returns { category, severity, rule, excerpt } or null.
+function screenText(text) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+  const excluded = [];
+  for (const re of RISK_EXCLUSIONS) {
+    for (const m of text.matchAll(re)) excluded.push([m.index, m.index + m[0].length]);
+  }
+  for (const rule of RISK_RULES) {
+    const re = new RegExp(rule.pattern.source, 'gi');
+    for (const m of text.matchAll(re)) {
+      const start = m.index, end = m.index + m[0].length;
+      if (excluded.some(([a, b]) => start < b && end > a)) continue;
+      return { category: rule.category, severity: rule.severity, rule: rule.id, excerpt: excerptAround(text, start, m[0].length) };
+    }
+  }
+  return null;
+}
+
+// Model review of a lexicon hit. Resolves to { classification, risk, rationale };
+// throws if the model is unavailable or answers out of format.
+async function reviewWithModel(text, hit, meta) {
+  const prompt = `A risk screen flagged a message from a person in a therapeutic programme.
+Decide whether it is a genuine clinical risk signal.
+
+${FLAG_CLASSIFICATION_RULES}
+
+Respond ONLY in this exact JSON format with no preamble or markdown:
+{"classification": "INTERNAL_STATE" | "EXTERNAL_EVENT" | "TECHNICAL_REPORT", "risk": true | false, "rationale": "one sentence"}
+
+"risk" is true only for INTERNAL STATE language that suggests ${hit.category.replace(/_/g, ' ')} or other danger to the person or someone else. When in doubt, answer true.
+
+MESSAGE:
+${text.slice(0, 2000)}`;
+  const reply = await llm.complete('risk_screen', { messages: [{ role: 'user', content: prompt }], meta });
+  const verdict = llm.parseJSON(reply.text);
+  if (!['INTERNAL_STATE', 'EXTERNAL_EVENT', 'TECHNICAL_REPORT'].includes(verdict.classification))
+    throw new Error('Unrecognised classification: ' + verdict.classification);
+  return { classification: verdict.classification, risk: verdict.risk !== false, rationale: verdict.rationale || null };
+}
+
+module.exports = { FLAG_CLASSIFICATION_RULES, RISK_RULES, screenText, reviewWithModel };
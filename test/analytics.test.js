@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { affectShiftPct, rollingMean, slope, reliableChange, sustainedDecline } = require('../analytics');
+
+test('affectShiftPct is the share of the available improvement that was made', () => {
+  const before = { q1: 4, q2: 4, q3: 2, q4: 2, q5: 2 };
+  const after = { q1: 2, q2: 3, q3: 4, q4: 3, q5: 2 };
+  assert.strictEqual(affectShiftPct(before, after), 35.3); // 6 of 17 points
+  assert.strictEqual(affectShiftPct(after, before), 0, 'getting worse is no shift, not a negative one');
+  assert.strictEqual(affectShiftPct({ q1: 0, q2: 0, q3: 5, q4: 5, q5: 5 }, { q1: 0, q2: 0, q3: 5, q4: 5, q5: 5 }), 0);
+});
+
+test('affectShiftPct falls back to totals, and needs both check-ins', () => {
+  assert.strictEqual(affectShiftPct({ total: 10 }, { total: 15 }), 20);
+  assert.strictEqual(affectShiftPct({ total: 15 }, { total: 10 }), -20);
+  assert.strictEqual(affectShiftPct({ total: 10 }, { total: null }), null);
+  assert.strictEqual(affectShiftPct(null, { total: 10 }), null);
+  assert.strictEqual(affectShiftPct({ q1: 3 }, undefined), null);
+});
+
+test('rollingMean averages the last measured points and leaves gaps empty', () => {
+  assert.deepStrictEqual(rollingMean([1, null, 3, 5, null, 9], 2), [1, null, 2, 4, null, 7]);
+  assert.deepStrictEqual(rollingMean([10, 20, 40], 3), [10, 15, 23.33]);
+  assert.deepStrictEqual(rollingMean([null, null], 3), [null, null]);
+  assert.deepStrictEqual(rollingMean([], 3), []);
+});
+
+test('slope is points per session, with gaps keeping their place', () => {
+  assert.strictEqual(slope([1, 2, 3]), 1);
+  assert.strictEqual(slope([2, null, 6]), 2);
+  assert.strictEqual(slope([4, 4, 4]), 0);
+  assert.strictEqual(slope([9, 6, 3, 0]), -3);
+  assert.strictEqual(slope([null, 5]), null);
+  assert.strictEqual(slope([]), null);
+});
+
+test('reliableChange classifies against the measure\'s norms', () => {
+  // volitionIndex: sd 15, reliability 0.8 → Sdiff ≈ 9.49
+  assert.deepStrictEqual(reliableChange('volitionIndex', 40, 60),
+    { from: 40, to: 60, change: 20, rci: 2.11, status: 'improved' });
+  assert.deepStrictEqual(reliableChange('volitionIndex', 60, 40),
+    { from: 60, to: 40, change: -20, rci: -2.11, status: 'deteriorated' });
+  assert.strictEqual(reliableChange('volitionIndex', 40, 50).status, 'no_reliable_change');
+  assert.strictEqual(reliableChange('volitionIndex', null, 50), null);
+  assert.strictEqual(reliableChange('unknownMeasure', 1, 50), null);
+});
+
+test('reliableChange treats a fall in masking load as improvement (direction -1)', () => {
+  // maskingLoad: sd 15, reliability 0.75 → Sdiff ≈ 10.61
+  assert.deepStrictEqual(reliableChange('maskingLoad', 60, 30),
+    { from: 60, to: 30, change: -30, rci: -2.83, status: 'improved' });
+  assert.strictEqual(reliableChange('maskingLoad', 30, 60).status, 'deteriorated');
+  assert.strictEqual(reliableChange('maskingLoad', 30, 40).status, 'no_reliable_change');
+});
+
+test('sustainedDecline needs every step in the run to go the wrong way', () => {
+  assert.deepStrictEqual(sustainedDecline('volitionIndex', [50, 48, null, 45, 40], 3),
+    { fromIndex: 0, toIndex: 4, from: 50, to: 40 });
+  assert.strictEqual(sustainedDecline('volitionIndex', [50, 52, 48, 45], 3), null);
+  assert.strictEqual(sustainedDecline('volitionIndex', [50, 45, 45, 40], 3), null, 'a flat step breaks the run');
+  assert.strictEqual(sustainedDecline('volitionIndex', [50, null, 45, 40], 3), null, 'too few measured points');
+  assert.strictEqual(sustainedDecline('unknownMeasure', [5, 4, 3, 2], 3), null);
+});
+
+test('sustainedDecline reads a rising masking load as decline (direction -1)', () => {
+  assert.deepStrictEqual(sustainedDecline('maskingLoad', [20, 25, 30, 40], 3),
+    { fromIndex: 0, toIndex: 3, from: 20, to: 40 });
+  assert.strictEqual(sustainedDecline('maskingLoad', [40, 30, 20, 10], 3), null);
+  // Only the tail counts: an earlier fall does not hide a recent rise
+  assert.deepStrictEqual(sustainedDecline('maskingLoad', [60, 10, null, 20, 30], 2),
+    { fromIndex: 1, toIndex: 4, from: 10, to: 30 });
+});
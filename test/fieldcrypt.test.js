@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const OLD_KEY = crypto.randomBytes(32).toString('base64');
+const NEW_KEY = crypto.randomBytes(32).toString('base64');
+
+// fieldcrypt reads its keys once at load, so each configuration gets a fresh copy
+function loadWith(env) {
+  const names = ['FIELD_ENCRYPTION_KEYS', 'FIELD_ENCRYPTION_KEY_FILE', 'FIELD_ENCRYPTION_KEY_ID'];
+  const saved = names.map(n => process.env[n]);
+  for (const n of names) delete process.env[n];
+  Object.assign(process.env, env);
+  try {
+    delete require.cache[require.resolve('../fieldcrypt')];
+    return require('../fieldcrypt');
+  } finally {
+    names.forEach((n, i) => saved[i] === undefined ? delete process.env[n] : process.env[n] = saved[i]);
+  }
+}
+
+const plain = loadWith({});
+const before = loadWith({ FIELD_ENCRYPTION_KEYS: `2025-06:${OLD_KEY}` });
+const rotated = loadWith({ FIELD_ENCRYPTION_KEYS: `2026-01:${NEW_KEY},2025-06:${OLD_KEY}` });
+
+test('seal and open round-trip text under the current key', () => {
+  const text = 'I told my sister — for the first time — what I need. ✨';
+  const sealed = before.seal(text);
+  assert.ok(before.isSealed(sealed));
+  assert.match(sealed, /^enc:v1:2025-06:/);
+  assert.ok(!sealed.includes('sister'));
+  assert.strictEqual(before.open(sealed), text);
+  assert.notStrictEqual(before.seal(text), sealed, 'every value gets its own data key and iv');
+  assert.strictEqual(before.keyId(), '2025-06');
+});
+
+test('null passes through seal, and unsealed values pass through open', () => {
+  assert.strictEqual(before.seal(null), null);
+  assert.strictEqual(before.seal(undefined), null);
+  assert.strictEqual(before.open(null), null);
+  assert.strictEqual(before.open('written before encryption'), 'written before encryption');
+  assert.deepStrictEqual(before.openJSON(['a flag']), ['a flag']);
+});
+
+test('with no key configured values are stored as plaintext', () => {
+  assert.strictEqual(plain.keyId(), null);
+  assert.strictEqual(plain.seal('hello'), 'hello');
+  assert.strictEqual(plain.sealJSON(['a', 'b']), '["a","b"]');
+  assert.strictEqual(plain.sealJSON(undefined), 'null');
+});
+
+test('sealJSON and openJSON round-trip a JSONB value', () => {
+  const value = [{ theme: 'belonging', members: [3, 7] }];
+  const param = before.sealJSON(value);
+  const stored = JSON.parse(param); // what pg hands back for the JSONB column
+  assert.strictEqual(typeof stored, 'string');
+  assert.ok(before.isSealed(stored));
+  assert.deepStrictEqual(before.openJSON(stored), value);
+});
+
+test('after rotation old rows stay readable and new writes use the new key', () => {
+  const old = before.seal('sealed last year');
+  assert.strictEqual(rotated.keyId(), '2026-01');
+  assert.strictEqual(rotated.open(old), 'sealed last year');
+  const resealed = rotated.seal(rotated.open(old)); // what reencrypt.js does per column
+  assert.match(resealed, /^enc:v1:2026-01:/);
+  assert.throws(() => before.open(resealed), /"2026-01" is not configured/);
+  assert.throws(() => plain.open(old), /"2025-06" is not configured/);
+});
+
+test('a tampered value fails to open', () => {
+  const sealed = before.seal('do not change me');
+  const blob = Buffer.from(sealed.slice('enc:v1:2025-06:'.length), 'base64');
+  blob[blob.length - 1] ^= 1;
+  assert.throws(() => before.open('enc:v1:2025-06:' + blob.toString('base64')));
+});
+
+test('FIELD_ENCRYPTION_KEY_ID picks the current key, and must be configured', () => {
+  const picked = loadWith({ FIELD_ENCRYPTION_KEYS: `2026-01:${NEW_KEY},2025-06:${OLD_KEY}`, FIELD_ENCRYPTION_KEY_ID: '2025-06' });
+  assert.strictEqual(picked.keyId(), '2025-06');
+  assert.throws(() => loadWith({ FIELD_ENCRYPTION_KEYS: `2026-01:${NEW_KEY}`, FIELD_ENCRYPTION_KEY_ID: 'missing' }),
+    /"missing" is not configured/);
+  assert.throws(() => loadWith({ FIELD_ENCRYPTION_KEYS: '2026-01:c2hvcnQ=' }), /must be 32 bytes/);
+});
+
+test('openRow decrypts the table\'s selected columns in place and leaves the rest', () => {
+  const row = {
+    id: 1,
+    content: rotated.seal('what the client said'),
+    risk_flags: JSON.parse(rotated.sealJSON(['not sealed here'])),
+    role: 'user'
+  };
+  assert.strictEqual(rotated.openRow('conversations', row), row);
+  assert.deepStrictEqual(row, { id: 1, content: 'what the client said', risk_flags: row.risk_flags, role: 'user' });
+  assert.ok(rotated.isSealed(row.risk_flags), 'risk_flags is not a conversations column');
+
+  const profile = {
+    last_assignment: before.seal('call one friend'),
+    risk_flags: JSON.parse(before.sealJSON(['passive ideation'])),
+    active_patterns: ['plaintext from before encryption']
+  };
+  rotated.openRow('persistent_profiles', profile);
+  assert.deepStrictEqual(profile, {
+    last_assignment: 'call one friend',
+    risk_flags: ['passive ideation'],
+    active_patterns: ['plaintext from before encryption']
+  });
+
+  assert.strictEqual(rotated.openRow('conversations', undefined), undefined);
+  assert.deepStrictEqual(rotated.openRow('clients', { name: 'Ada' }), { name: 'Ada' });
+  const rows = [{ moment_text: rotated.seal('I am allowed to want this') }];
+  assert.deepStrictEqual(rotated.openRows('sovereign_moments', rows), [{ moment_text: 'I am allowed to want this' }]);
+});
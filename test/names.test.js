@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isMatchableName, namePattern } = require('../names');
+
+test('everyday-word and short names are not matchable', () => {
+  for (const name of ['Hope', 'Will', 'May', 'I', 'Al', 'grace', 'Rose May']) {
+    assert.strictEqual(isMatchableName(name), false, name);
+    assert.strictEqual(namePattern(name), null, name);
+  }
+});
+
+test('names match case-sensitively as whole capitalised words', () => {
+  const re = namePattern('ana');
+  assert.strictEqual('Thank you, Ana.'.replace(re, 'a former member'), 'Thank you, a former member.');
+  assert.strictEqual('Banana and Anastasia'.replace(re, 'X'), 'Banana and Anastasia');
+  assert.strictEqual('ANA'.replace(re, 'X'), 'ANA');
+  assert.strictEqual('As Will Smith said'.replace(namePattern('Will Smith'), 'X'), 'As X said');
+  assert.strictEqual('José spoke'.replace(namePattern('josé'), 'X'), 'X spoke');
+});
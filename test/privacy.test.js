@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findLeaks } = require('../privacy');
+
+const nameSource = (clientId, text) => ({ clientId, kind: 'ecosystem', text, name: true });
+
+test('everyday-word names in ordinary prose are not leaks', () => {
+  const reply = 'You may find that there is grace in waiting, and the will to go on.';
+  const sources = [nameSource(1, 'May'), nameSource(1, 'Grace'), nameSource(2, 'Will')];
+  assert.deepStrictEqual(findLeaks(reply, sources), []);
+});
+
+test('names match as capitalised words only', () => {
+  const sources = [nameSource(1, 'Tomasz')];
+  assert.deepStrictEqual(findLeaks('How is Tomasz doing?', sources),
+    [{ clientId: 1, kind: 'ecosystem', excerpts: ['Tomasz'] }]);
+  assert.deepStrictEqual(findLeaks('how is tomasz doing?', sources), []);
+  assert.deepStrictEqual(findLeaks('Tomaszewski wrote a book.', sources), []);
+});
+
+test('a name already said in the group is not a leak', () => {
+  const sources = [nameSource(1, 'Tomasz')];
+  assert.deepStrictEqual(findLeaks('How is Tomasz doing?', sources, 'Ana: I spoke to Tomasz today'), []);
+});
+
+test('everyday-word names are still caught inside a shared phrase', () => {
+  const sources = [{ clientId: 1, kind: 'session_archive', text: 'She said Grace never forgave her brother for leaving.' }];
+  const [finding] = findLeaks('It sounds like Grace never forgave her brother for that.', sources);
+  assert.strictEqual(finding.clientId, 1);
+  assert.ok(finding.excerpts.includes('grace never forgave her brother'));
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { screenText } = require('../risk');
+
+test('flags first-person risk language', () => {
+  for (const [text, rule] of [
+    ['I want to kill myself', 'suicide_explicit'],
+    ["I'm going to end it all tonight", 'suicide_explicit'],
+    ["I'll just end it all", 'suicide_explicit'],
+    ['I really want to end it all', 'suicide_explicit'],
+    ['I keep thinking about taking my own life', 'suicide_explicit'],
+    ['I have been feeling suicidal', 'suicide_explicit'],
+    ['honestly I just want to die', 'wish_dead'],
+    ['they would be better off without me', 'wish_dead'],
+    ['I feel so hopeless', 'hopelessness'],
+    ["I can't go on like this", 'hopelessness']
+  ]) {
+    assert.strictEqual(screenText(text)?.rule, rule, text);
+  }
+});
+
+test('ignores idioms and non-self-harm phrasing', () => {
+  for (const text of [
+    'I need a minute to take it all in',
+    'we should end it all on a high note',
+    'the hero wanted to end it all in the film',
+    'I am going to die of embarrassment',
+    'I am hopeless at cooking',
+    'my phone died again',
+    "I'm dying to see the new film",
+    'just killing time before the session'
+  ]) {
+    assert.strictEqual(screenText(text), null, text);
+  }
+});